@@ -4,6 +4,7 @@ import fs from 'fs';
 import path from 'path';
 import { createRequire } from 'module';
 import inquirer from 'inquirer';
+import { detectAssetType, getAssetTypes, validateSiteAssets, formatSiteAssetsError } from './asset-loader.js';
 
 const require = createRequire(import.meta.url);
 
@@ -24,13 +25,26 @@ function log(message, color = 'reset') {
 
 // Load site-assets.json
 function loadSiteAssets() {
+  let siteAssets;
   try {
-    const data = fs.readFileSync('site-assets.json', 'utf8');
-    return JSON.parse(data);
+    siteAssets = JSON.parse(fs.readFileSync('site-assets.json', 'utf8'));
   } catch (error) {
     log('Error loading site-assets.json', 'red');
     process.exit(1);
   }
+
+  warnInvalidSiteAssets(siteAssets);
+  return siteAssets;
+}
+
+// Warn about problems in site-assets.json without stopping the command
+function warnInvalidSiteAssets(siteAssets) {
+  const errors = validateSiteAssets(siteAssets);
+  if (errors.length === 0) return;
+
+  log('! site-assets.json has problems, the loader will refuse it until they are fixed:', 'yellow');
+  errors.forEach(error => log(`  ${formatSiteAssetsError(error)}`, 'yellow'));
+  log('');
 }
 
 // Save site-assets.json
@@ -44,13 +58,154 @@ function saveSiteAssets(assets) {
   }
 }
 
-// Detect file type based on extension
+// Detect file type based on extension, using the loader's asset types
+// Falls back to the first type offered, as the prompt does
 function detectFileType(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  if (['.json'].includes(ext)) return 'json';
-  if (['.md', '.txt'].includes(ext)) return 'text';
-  if (['.jpg', '.jpeg', '.png', '.webp', '.gif'].includes(ext)) return 'image';
-  return 'unknown';
+  return detectAssetType(filePath) || getTypeNames()[0];
+}
+
+// Names of the asset types the loader knows
+function getTypeNames() {
+  return getAssetTypes().map(type => type.name);
+}
+
+// Default allowed extensions of an asset type, comma-separated
+function getTypeExtensions(typeName) {
+  const assetType = getAssetTypes().find(type => type.name === typeName);
+  return assetType ? assetType.extensions.join(',') : '';
+}
+
+// Types whose content is structured data that a schema can describe
+const STRUCTURED_TYPES = ['json', 'yaml', 'csv', 'toml'];
+
+// Exit code for invalid flags, spec files or answers
+const EXIT_INVALID = 2;
+
+// Flags taking a value, and the prompt each one answers
+const VALUE_FLAGS = {
+  '--base-path': 'basePath',
+  '--file-name': 'fileName',
+  '--type': 'type',
+  '--contains': 'directoryContains',
+  '--label': 'label',
+  '--description': 'description',
+  '--max-size': 'maxSize',
+  '--extensions': 'allowedExtensions',
+  '--combo-parts': 'comboParts',
+  '--combo-max-size-image': 'comboMaxSizeImage',
+  '--combo-max-size-json': 'comboMaxSizeJson',
+  '--combo-max-size-text': 'comboMaxSizeText',
+  '--combo-schema': 'comboJsonSchema',
+  '--schema': 'schema'
+};
+
+// Flags without a value, and the answer each one gives
+const SWITCH_FLAGS = {
+  '--create-file': ['createFile', true],
+  '--no-create-file': ['createFile', false],
+  '--handler': ['generateHandler', true],
+  '--no-handler': ['generateHandler', false],
+  '--no-schema': ['addSchema', false],
+  '--no-combo-schema': ['addComboJsonSchema', false]
+};
+
+// Checks shared by the prompts and the flags, returning true or an error message
+const validators = {
+  notEmpty: value => (typeof value === 'string' && value.trim() !== '') || 'must not be empty',
+  size: value => (Number.isInteger(value) && value > 0) || 'must be a positive whole number of bytes',
+  extensions: value => (Array.isArray(value) && value.length > 0 && value.every(ext => /^\.[\w.-]+$/.test(ext))) ||
+    'must be a comma-separated list of extensions starting with "." (e.g. ".json,.md")',
+  comboParts: value => {
+    if (!Array.isArray(value) || value.length === 0) {
+      return 'must list at least one part, e.g. "image:.webp,.jpg;json:.json"';
+    }
+    const types = getTypeNames();
+    const unknown = value.find(part => !types.includes(part.assetType));
+    if (unknown) {
+      return `unknown asset type "${unknown.assetType}" (known: ${types.join(', ')})`;
+    }
+    const invalid = value.find(part => validators.extensions(part.allowedExtensions) !== true);
+    return invalid ? `extensions of the ${invalid.assetType} part ${validators.extensions(invalid.allowedExtensions)}` : true;
+  },
+  schema: value => (value !== null && typeof value === 'object' && !Array.isArray(value)) || 'must be a JSON object',
+  oneOf: choices => value => choices.includes(value) || `must be one of: ${choices.join(', ')}`
+};
+
+// Parse command line arguments into the file path, answers given as flags and options
+function parseArgs(args) {
+  const options = { filePath: null, answers: {}, spec: null, yes: false, help: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].startsWith('--') ? args[i].split(/=(.*)/s) : [args[i]];
+
+    if (flag === '--help' || flag === '-h') {
+      options.help = true;
+    } else if (flag === '--yes' || flag === '-y') {
+      options.yes = true;
+    } else if (flag === '--spec' || VALUE_FLAGS[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined) {
+        exitInvalid([`${flag} needs a value`]);
+      }
+      if (flag === '--spec') {
+        options.spec = value;
+      } else {
+        options.answers[VALUE_FLAGS[flag]] = value;
+      }
+    } else if (SWITCH_FLAGS[flag]) {
+      const [name, value] = SWITCH_FLAGS[flag];
+      options.answers[name] = value;
+    } else if (!flag.startsWith('-') && options.filePath === null) {
+      options.filePath = flag;
+    } else {
+      exitInvalid([`Unknown argument "${args[i]}"`]);
+    }
+  }
+
+  return options;
+}
+
+// Read the answers in a JSON spec file, keyed by prompt name
+function loadSpec(specPath) {
+  if (!specPath) return {};
+
+  let spec;
+  try {
+    spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+  } catch (error) {
+    exitInvalid([`Could not read spec file ${specPath}: ${error.message}`]);
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    exitInvalid([`Spec file ${specPath} must contain a JSON object`]);
+  }
+
+  return spec;
+}
+
+// Print command line usage
+function printUsage() {
+  log('\nUsage: npx add-asset [file] [options]', 'yellow');
+  log('Prompts for every detail not given as an option. Options:', 'cyan');
+  log('  --base-path <dir>            Directory of the asset (default: content)', 'cyan');
+  log('  --file-name <name>           File or directory name', 'cyan');
+  log(`  --type <type>                ${[...getTypeNames(), 'directory'].join(', ')}`, 'cyan');
+  log('  --contains <type>            What a directory contains: combo or an asset type', 'cyan');
+  log('  --label <text>               Human-readable name', 'cyan');
+  log('  --description <text>         Description', 'cyan');
+  log('  --max-size <bytes>           Maximum file size', 'cyan');
+  log('  --extensions <list>          Allowed extensions, e.g. ".json" or ".md,.txt"', 'cyan');
+  log('  --combo-parts <parts>        Combo parts, e.g. "image:.webp,.jpg;json:.json"', 'cyan');
+  log('  --combo-max-size-image <n>   Maximum size of combo image parts', 'cyan');
+  log('  --combo-max-size-json <n>    Maximum size of combo JSON parts', 'cyan');
+  log('  --combo-max-size-text <n>    Maximum size of combo text parts', 'cyan');
+  log('  --schema <file|json>         Schema for the asset (--no-schema for none)', 'cyan');
+  log('  --combo-schema <file|json>   Schema for combo JSON parts (--no-combo-schema for none)', 'cyan');
+  log('  --create-file, --no-create-file  Create the file if it does not exist', 'cyan');
+  log('  --handler, --no-handler      Generate a handler file', 'cyan');
+  log('  --spec <file>                JSON file with any of the answers, keyed by prompt name', 'cyan');
+  log('                               (basePath, fileName, type, directoryContains, label, ...)', 'cyan');
+  log('  -y, --yes                    Accept the defaults for everything not given, never prompt', 'cyan');
+  log('Exit codes: 0 on success, 1 on failure, 2 on invalid options or answers\n', 'cyan');
 }
 
 // Get schema suggestions based on file name
@@ -73,7 +228,7 @@ function generateHandlerFile(asset) {
   code += `export function handle(data) {\n`;
   code += `  if (!data) return;\n\n`;
 
-  if (type === 'json') {
+  if (STRUCTURED_TYPES.includes(type)) {
     code += `  // TODO: Add DOM manipulation to populate ${label} data\n`;
     code += `  // Example:\n`;
     code += `  // const element = document.querySelector('.${varName}');\n`;
@@ -87,6 +242,14 @@ function generateHandlerFile(asset) {
     code += `  // if (container) {\n`;
     code += `  //   container.innerHTML = data; // Or parse markdown first\n`;
     code += `  // }\n`;
+  } else if (type === 'html' || type === 'svg') {
+    code += `  // data is the ${type === 'svg' ? 'SVG' : 'HTML'} markup, ready to insert\n`;
+    code += `  // TODO: Insert ${label} into the page\n`;
+    code += `  // Example:\n`;
+    code += `  // const container = document.querySelector('.${varName}');\n`;
+    code += `  // if (container) {\n`;
+    code += `  //   container.innerHTML = data;\n`;
+    code += `  // }\n`;
   } else if (type === 'image') {
     code += `  // For image assets, data will be null and assetPath contains the image path\n`;
     code += `  // TODO: Set image source\n`;
@@ -147,29 +310,25 @@ function createStarterFile(filePath, type) {
     content = '{\n  "example": "value"\n}\n';
   } else if (type === 'text') {
     content = '# New Content\n\nAdd your content here.\n';
+  } else if (type === 'yaml') {
+    content = 'example: value\n';
+  } else if (type === 'csv') {
+    content = 'name,value\nexample,1\n';
+  } else if (type === 'toml') {
+    content = 'example = "value"\n';
+  } else if (type === 'html') {
+    content = '<section>\n  <p>Add your content here.</p>\n</section>\n';
+  } else if (type === 'svg') {
+    content = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"></svg>\n';
   }
 
   fs.writeFileSync(filePath, content);
   log(`✓ Created file: ${filePath}`, 'green');
 }
 
-// Main function
-async function main() {
-  log('\n=== Add New Asset to Site ===\n', 'bright');
-
-  // Get file path from command line or prompt
-  let filePath = process.argv[2];
-  let fileExists = false;
-
-  if (filePath) {
-    fileExists = fs.existsSync(filePath);
-    if (!fileExists) {
-      log(`File "${filePath}" does not exist.`, 'yellow');
-    }
-  }
-
-  // Prompt for asset details
-  const answers = await inquirer.prompt([
+// Build the prompts for an asset, with defaults based on the file path given on the command line
+function buildQuestions(filePath, fileExists) {
+  return [
     {
       type: 'input',
       name: 'basePath',
@@ -180,7 +339,8 @@ async function main() {
           return dir === '.' ? 'content' : dir;
         }
         return 'content';
-      }
+      },
+      validate: validators.notEmpty
     },
     {
       type: 'input',
@@ -191,7 +351,8 @@ async function main() {
           return path.basename(filePath);
         }
         return 'new-asset';
-      }
+      },
+      validate: validators.notEmpty
     },
     {
       type: 'confirm',
@@ -204,7 +365,7 @@ async function main() {
       type: 'list',
       name: 'type',
       message: 'Asset type:',
-      choices: ['json', 'text', 'image', 'directory'],
+      choices: [...getTypeNames(), 'directory'],
       default: (answers) => {
         let targetPath;
         if (filePath) {
@@ -215,15 +376,17 @@ async function main() {
           targetPath = '';
         }
         return detectFileType(targetPath);
-      }
+      },
+      validate: validators.oneOf([...getTypeNames(), 'directory'])
     },
     {
       type: 'list',
       name: 'directoryContains',
       message: 'What does this directory contain?',
-      choices: ['combo', 'image', 'json', 'text'],
+      choices: ['combo', ...getTypeNames()],
       default: 'combo',
-      when: (answers) => answers.type === 'directory'
+      when: (answers) => answers.type === 'directory',
+      validate: validators.oneOf(['combo', ...getTypeNames()])
     },
     {
       type: 'input',
@@ -242,7 +405,8 @@ async function main() {
           .split(/[-_]/)
           .map(word => word.charAt(0).toUpperCase() + word.slice(1))
           .join(' ');
-      }
+      },
+      validate: validators.notEmpty
     },
     {
       type: 'input',
@@ -257,25 +421,22 @@ async function main() {
       default: (answers) => {
         if (answers.type === 'image') return 2097152; // 2MB
         if (answers.type === 'json') return 5120; // 5KB
-        if (answers.type === 'text') return 51200; // 50KB
-        return 10485760; // 10MB for directory
-      }
+        if (answers.type === 'directory') return 10485760; // 10MB
+        return 51200; // 50KB for text and other formats
+      },
+      validate: validators.size
     },
     {
       type: 'input',
       name: 'allowedExtensions',
       message: 'Allowed file extensions (comma-separated):',
       default: (answers) => {
-        if (answers.type === 'image') return '.jpg,.jpeg,.png,.webp';
-        if (answers.type === 'json') return '.json';
-        if (answers.type === 'text') return '.md,.txt';
-        if (answers.type === 'directory' && answers.directoryContains === 'image') return '.jpg,.jpeg,.png,.webp';
-        if (answers.type === 'directory' && answers.directoryContains === 'json') return '.json';
-        if (answers.type === 'directory' && answers.directoryContains === 'text') return '.md,.txt';
-        return '';
+        if (answers.type === 'directory') return getTypeExtensions(answers.directoryContains);
+        return getTypeExtensions(answers.type);
       },
       filter: (input) => input.split(',').map(ext => ext.trim()),
-      when: (answers) => answers.type !== 'directory' || answers.directoryContains !== 'combo'
+      when: (answers) => answers.type !== 'directory' || answers.directoryContains !== 'combo',
+      validate: validators.extensions
     },
     {
       type: 'input',
@@ -298,7 +459,8 @@ async function main() {
           }
         });
         return parts;
-      }
+      },
+      validate: validators.comboParts
     },
     {
       type: 'number',
@@ -306,7 +468,8 @@ async function main() {
       message: 'Max size for image parts (bytes):',
       default: 2097152, // 2MB
       when: (answers) => answers.type === 'directory' && answers.directoryContains === 'combo' &&
-        answers.comboParts && answers.comboParts.some(p => p.assetType === 'image')
+        answers.comboParts && answers.comboParts.some(p => p.assetType === 'image'),
+      validate: validators.size
     },
     {
       type: 'number',
@@ -314,7 +477,8 @@ async function main() {
       message: 'Max size for JSON parts (bytes):',
       default: 5120, // 5KB
       when: (answers) => answers.type === 'directory' && answers.directoryContains === 'combo' &&
-        answers.comboParts && answers.comboParts.some(p => p.assetType === 'json')
+        answers.comboParts && answers.comboParts.some(p => p.assetType === 'json'),
+      validate: validators.size
     },
     {
       type: 'number',
@@ -322,7 +486,8 @@ async function main() {
       message: 'Max size for text parts (bytes):',
       default: 51200, // 50KB
       when: (answers) => answers.type === 'directory' && answers.directoryContains === 'combo' &&
-        answers.comboParts && answers.comboParts.some(p => p.assetType === 'text')
+        answers.comboParts && answers.comboParts.some(p => p.assetType === 'text'),
+      validate: validators.size
     },
     {
       type: 'confirm',
@@ -349,14 +514,15 @@ async function main() {
         } catch {
           return null;
         }
-      }
+      },
+      validate: validators.schema
     },
     {
       type: 'confirm',
       name: 'addSchema',
       message: 'Add JSON schema validation?',
       default: false,
-      when: (answers) => answers.type === 'json'
+      when: (answers) => STRUCTURED_TYPES.includes(answers.type)
     },
     {
       type: 'editor',
@@ -384,7 +550,8 @@ async function main() {
         } catch {
           return null;
         }
-      }
+      },
+      validate: validators.schema
     },
     {
       type: 'confirm',
@@ -392,7 +559,121 @@ async function main() {
       message: 'Generate handler file?',
       default: true
     }
-  ]);
+  ];
+}
+
+// Check the answers given as flags or in a spec file and, with --yes, fill in the defaults
+// Returns the answers, the errors found and the prompts still to be asked
+function resolveAnswers(questions, provided, acceptDefaults) {
+  const answers = {};
+  const errors = [];
+  const missing = [];
+
+  const known = questions.map(question => question.name);
+  Object.keys(provided)
+    .filter(name => !known.includes(name))
+    .forEach(name => errors.push(`Unknown option "${name}" (known: ${known.join(', ')})`));
+
+  questions.forEach(question => {
+    let value;
+    if (question.name in provided) {
+      value = normalizeAnswer(question, provided[question.name]);
+    } else if (question.when && !question.when(answers)) {
+      return;
+    } else if (acceptDefaults) {
+      // Defaults derived from an invalid answer would only add confusing errors
+      if (errors.length > 0) return;
+      value = typeof question.default === 'function' ? question.default(answers) : question.default;
+      // Defaults are given as typed, so they go through the same filter as typed input
+      if (question.filter && (question.type === 'input' || question.type === 'editor')) {
+        value = question.filter(value);
+      }
+    } else {
+      missing.push(question.name);
+      return;
+    }
+
+    const result = question.validate ? question.validate(value) : true;
+    if (result !== true) {
+      errors.push(`${question.name}: ${result}`);
+      return;
+    }
+    answers[question.name] = value;
+  });
+
+  return { answers, errors, missing };
+}
+
+// Convert an answer given as a flag or in a spec file to the form its prompt produces
+function normalizeAnswer(question, value) {
+  if (question.type === 'number' && typeof value === 'string') {
+    return value.trim() === '' ? NaN : Number(value);
+  }
+  if (question.type === 'confirm' && typeof value === 'string') {
+    return value === 'true' ? true : value === 'false' ? false : value;
+  }
+  if (question.type === 'editor' && typeof value === 'string') {
+    // A schema flag takes a file path or inline JSON
+    return question.filter(fs.existsSync(value) ? fs.readFileSync(value, 'utf8') : value);
+  }
+  if (question.type === 'input' && question.filter && typeof value === 'string') {
+    return question.filter(value);
+  }
+  return value;
+}
+
+// Print errors in the given answers and exit with the code for invalid input
+function exitInvalid(errors) {
+  errors.forEach(error => log(`Error: ${error}`, 'red'));
+  log('Run with --help to see the available options', 'yellow');
+  process.exit(EXIT_INVALID);
+}
+
+// Main function
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  log('\n=== Add New Asset to Site ===\n', 'bright');
+
+  // Get file path from command line or prompt
+  let filePath = options.filePath;
+  let fileExists = false;
+
+  if (filePath) {
+    fileExists = fs.existsSync(filePath);
+    if (!fileExists) {
+      log(`File "${filePath}" does not exist.`, 'yellow');
+    }
+  }
+
+  const questions = buildQuestions(filePath, fileExists);
+  const provided = { ...loadSpec(options.spec), ...options.answers };
+
+  // Giving a schema implies that one is wanted
+  if ('schema' in provided && !('addSchema' in provided)) {
+    provided.addSchema = true;
+  }
+  if ('comboJsonSchema' in provided && !('addComboJsonSchema' in provided)) {
+    provided.addComboJsonSchema = true;
+  }
+
+  const { answers: resolved, errors, missing } = resolveAnswers(questions, provided, options.yes);
+
+  if (errors.length > 0) {
+    exitInvalid(errors);
+  }
+
+  // Without a terminal there is nobody to answer the remaining prompts
+  if (missing.length > 0 && !process.stdin.isTTY) {
+    exitInvalid([`No value for: ${missing.join(', ')}. Pass them as flags or in --spec, or use --yes to accept defaults`]);
+  }
+
+  const answers = missing.length > 0 ? await inquirer.prompt(questions, resolved) : resolved;
 
   // Construct target path from basePath and fileName
   // Always use the prompted values, not the CLI argument (which is just for defaults)
@@ -405,6 +686,13 @@ async function main() {
     targetPath = targetPath + '.json';
   }
 
+  // Refuse duplicates before creating any file
+  const siteAssets = loadSiteAssets();
+  if (siteAssets.assets.some(a => a.path.replace(/^\.\//, '') === targetPath.replace(/^\.\//, ''))) {
+    log(`Error: An asset with path "${targetPath}" already exists. Change it with: npx edit-asset ${targetPath}`, 'red');
+    process.exit(EXIT_INVALID);
+  }
+
   // Create file if needed
   if (!fs.existsSync(targetPath)) {
     if (answers.createFile !== false && answers.type !== 'directory') {
@@ -421,10 +709,15 @@ async function main() {
     path: targetPath,
     type: answers.type,
     label: answers.label,
-    description: answers.description,
-    handler: handlerPath
+    description: answers.description
   };
 
+  // Only point at a handler that is generated below or already there
+  const hasHandler = answers.generateHandler || fs.existsSync(handlerPath);
+  if (hasHandler) {
+    asset.handler = handlerPath;
+  }
+
   // Handle directory assets with contains structure
   if (answers.type === 'directory') {
     if (answers.directoryContains === 'combo') {
@@ -475,17 +768,7 @@ async function main() {
   }
 
   // Add to site-assets.json
-  const siteAssets = loadSiteAssets();
-
-  // Check if asset already exists
-  const existingIndex = siteAssets.assets.findIndex(a => a.path === targetPath);
-  if (existingIndex !== -1) {
-    log(`\nAsset with path "${targetPath}" already exists. Updating...`, 'yellow');
-    siteAssets.assets[existingIndex] = asset;
-  } else {
-    siteAssets.assets.push(asset);
-  }
-
+  siteAssets.assets.push(asset);
   saveSiteAssets(siteAssets);
 
   // Generate handler file
@@ -509,7 +792,10 @@ async function main() {
   }
 
   log(`${stepNum++}. Update HTML to include elements for displaying this content`);
-  log(`${stepNum++}. The handler will be automatically loaded by script.js\n`);
+  if (hasHandler) {
+    log(`${stepNum++}. The handler will be automatically loaded by script.js`);
+  }
+  log('');
 }
 
 // Run
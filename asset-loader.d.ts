@@ -0,0 +1,323 @@
+/**
+ * Type declarations for asset-loader.js
+ * Content is typed per asset path through the ContentData interface, which
+ * `npx generate-types` fills in from the schemas in site-assets.json
+ */
+
+/** Format of site-assets.json this loader reads, stored as its `configVersion` */
+export const CONFIG_VERSION: number;
+
+/** Shape of site-assets.json the loader checks, site-assets.schema.json without its descriptions */
+export const SITE_ASSETS_SCHEMA: JsonSchema;
+
+/**
+ * Content of every asset, keyed by its path in site-assets.json
+ * Augmented by the file `npx generate-types` writes; untyped paths are `unknown`
+ */
+export interface ContentData {
+    [assetPath: string]: unknown;
+}
+
+/** JSON schema, in the subset validateSchema supports */
+export interface JsonSchema {
+    $ref?: string;
+    $schema?: string;
+    title?: string;
+    description?: string;
+    type?: string | string[];
+    enum?: unknown[];
+    const?: unknown;
+    format?: string;
+    properties?: { [name: string]: JsonSchema };
+    required?: string[];
+    additionalProperties?: boolean | JsonSchema;
+    items?: JsonSchema | JsonSchema[];
+    minItems?: number;
+    maxItems?: number;
+    minimum?: number;
+    maximum?: number;
+    minLength?: number;
+    maxLength?: number;
+    pattern?: string;
+    anyOf?: JsonSchema[];
+    oneOf?: JsonSchema[];
+    allOf?: JsonSchema[];
+    not?: JsonSchema;
+    if?: JsonSchema;
+    then?: JsonSchema;
+    else?: JsonSchema;
+    definitions?: { [name: string]: JsonSchema };
+    [keyword: string]: unknown;
+}
+
+/** File rules shared by assets, simple directory contents and combo parts */
+export interface FileRules {
+    maxSize?: number;
+    allowedExtensions?: string[];
+    schema?: JsonSchema;
+    render?: 'markdown';
+}
+
+/** Part of the combos of a directory asset */
+export interface ComboPart extends FileRules {
+    assetType: string;
+    allowedExtensions: string[];
+}
+
+/** What a directory asset holds: files of one type, or combos of parts sharing a base name */
+export interface DirectoryContents extends FileRules {
+    type: string;
+    loadContent?: boolean;
+    parts?: ComboPart[];
+}
+
+/** Asset entry of site-assets.json */
+export interface AssetDefinition extends FileRules {
+    path: string;
+    type?: string;
+    label?: string;
+    description?: string;
+    handler?: string;
+    loading?: 'eager' | 'lazy' | 'visible';
+    selector?: string;
+    required?: boolean;
+    files?: string[];
+    image?: { width?: number; height?: number; size?: number };
+    contains?: DirectoryContents;
+}
+
+/** site-assets.json */
+export interface SiteAssets {
+    $schema?: string;
+    configVersion?: number;
+    version?: string | number;
+    description?: string;
+    bundle?: string | { path: string; hash?: string };
+    assets: AssetDefinition[];
+}
+
+/** Image content: its path plus the metadata build-manifest precomputed. Converts to its path */
+export interface ImageData {
+    src: string;
+    format: string;
+    type: string;
+    width: number | null;
+    height: number | null;
+    size: number | null;
+    /** The same picture in other formats */
+    variants: Array<Pick<ImageData, 'src' | 'format' | 'type' | 'width' | 'height' | 'size'>>;
+    /** <picture> sources, preferred formats first */
+    sources: Array<{ srcset: string; type: string }>;
+    toString(): string;
+}
+
+/** Content of text assets with `render: "markdown"` */
+export interface MarkdownContent {
+    frontMatter: { [key: string]: unknown };
+    html: string;
+    raw: string;
+}
+
+/** Problem found by validateSchema */
+export interface SchemaError {
+    path: string;
+    message: string;
+}
+
+/** Problem found by validateSiteAssets */
+export interface SiteAssetsProblem extends SchemaError {
+    /** Path of the asset entry the problem is in */
+    asset: string | null;
+}
+
+/** Schema validation failures of one file */
+export interface ValidationErrorEntry {
+    asset: string;
+    file: string;
+    errors: SchemaError[];
+}
+
+export type ReportStatus = 'pending' | 'loaded' | 'not-found' | 'parse-error' | 'validation-error' | 'handler-error' | 'error';
+
+/** Load status of an asset */
+export interface ReportEntry {
+    path: string;
+    status: ReportStatus;
+    required: boolean;
+    httpStatus: number | null;
+    messages: string[];
+}
+
+/** What load() and loadSiteAssets() resolve to */
+export interface LoadResult {
+    siteAssets: SiteAssets;
+    contentData: ContentData;
+    validationErrors: ValidationErrorEntry[];
+    report: ReportEntry[];
+}
+
+/** Content snapshot written by the prerender command */
+export interface Snapshot {
+    format: number;
+    assetsPath: string;
+    siteAssets: SiteAssets;
+    contentData: ContentData;
+    validationErrors: ValidationErrorEntry[];
+}
+
+/** Payload of each loader event */
+export interface LoaderEvents {
+    'asset:loaded': { asset: string; data: unknown };
+    'asset:error': { asset: string; file: string; error: Error };
+    'asset:invalid': { asset: string; file: string; errors: SchemaError[] };
+    'handler:done': { asset: string; handler: string };
+    'handler:error': { asset: string; handler: string; error: Error };
+    'cache:updated': { file: string; data: unknown };
+    progress: { loaded: number; total: number; asset?: string };
+    complete: { contentData: ContentData };
+}
+
+export interface Logger {
+    log(...args: unknown[]): void;
+    warn(...args: unknown[]): void;
+    error(...args: unknown[]): void;
+}
+
+/** Loader options, see createLoader in asset-loader.js for what each one does */
+export interface LoaderOptions {
+    assetsPath?: string;
+    validation?: 'warn' | 'skip' | 'throw' | 'off';
+    concurrency?: number;
+    rootMargin?: string;
+    liveReload?: boolean | string;
+    handlers?: { [handlerPath: string]: HandlerModule | (() => Promise<HandlerModule>) };
+    resolveHandler?: (asset: AssetDefinition) => HandlerModule | string | URL | null | undefined |
+        Promise<HandlerModule | string | URL | null | undefined>;
+    handlerBaseUrl?: string;
+    logger?: Logger | false;
+    strict?: boolean;
+    timeout?: number;
+    retries?: number;
+    retryDelay?: number;
+    signal?: AbortSignal;
+    cache?: boolean | string;
+    staleWhileRevalidate?: boolean;
+    sanitize?: boolean | ((html: string) => string);
+    markdown?: (markdown: string) => string;
+    fetch?: typeof fetch;
+    runHandlers?: boolean;
+    snapshot?: Snapshot | string | false;
+    bundle?: boolean;
+}
+
+/** Context passed to the functions of a handler */
+export interface HandlerContext {
+    asset: AssetDefinition;
+    assetPath: string;
+    loader: Loader;
+    getContentData(): ContentData;
+    getContentData<P extends keyof ContentData & string>(assetPath: P): ContentData[P];
+    /** Aborted when the handler is disposed */
+    signal: AbortSignal;
+}
+
+/**
+ * Module named by an asset's `handler`
+ * Type a handler with the content of its asset: `HandlerModule<ContentData['content/site.json']>`
+ */
+export interface HandlerModule<T = unknown> {
+    init?(context: HandlerContext): void | Promise<void>;
+    handle(data: T, assetPath: string, context: HandlerContext): void | Promise<void>;
+    update?(data: T, context: HandlerContext): void | Promise<void>;
+    dispose?(context: HandlerContext): void | Promise<void>;
+}
+
+export interface Loader {
+    load(onComplete?: () => void, overrides?: LoaderOptions): Promise<LoadResult>;
+    loadAsset<P extends keyof ContentData & string>(assetPath: P): Promise<ContentData[P]>;
+    reloadAsset<P extends keyof ContentData & string>(assetPath: P): Promise<ContentData[P]>;
+    loadHandlers(onComplete?: () => void, overrides?: LoaderOptions): Promise<void>;
+    on<E extends keyof LoaderEvents>(event: E, listener: (payload: LoaderEvents[E]) => void): () => void;
+    off<E extends keyof LoaderEvents>(event: E, listener: (payload: LoaderEvents[E]) => void): void;
+    getContentData(): ContentData;
+    getContentData<P extends keyof ContentData & string>(assetPath: P): ContentData[P];
+    getSiteAssets(): SiteAssets | null;
+    getValidationErrors(): ValidationErrorEntry[];
+    getReport(): ReportEntry[];
+    getSnapshot(): Snapshot;
+    reset(): Promise<void>;
+}
+
+/** Thrown when loaded content fails schema validation and the validation option is 'throw' */
+export class AssetValidationError extends Error {
+    constructor(errors: ValidationErrorEntry[]);
+    errors: ValidationErrorEntry[];
+}
+
+/** Raised by a handler's import, init, handle, update or dispose, attributed to its asset */
+export class AssetHandlerError extends Error {
+    constructor(asset: AssetDefinition, stage: string, cause: unknown);
+    asset: string;
+    handler: string;
+    stage: 'import' | 'init' | 'handle' | 'update' | 'dispose';
+    cause: unknown;
+}
+
+/** Thrown when a required asset fails to load and the strict option is set */
+export class AssetLoadError extends Error {
+    constructor(failures: ReportEntry[]);
+    failures: ReportEntry[];
+}
+
+/** Thrown when site-assets.json does not have the shape the loader expects */
+export class SiteAssetsError extends Error {
+    constructor(assetsPath: string, errors: SiteAssetsProblem[]);
+    errors: SiteAssetsProblem[];
+}
+
+export function createLoader(options?: LoaderOptions): Loader;
+
+export function loadSiteAssets(assetsPath?: string, onComplete?: (() => void) | null, options?: LoaderOptions): Promise<LoadResult>;
+export function loadSiteAssets(onComplete: () => void): Promise<LoadResult>;
+
+export function loadHandlers(onComplete?: () => void, options?: LoaderOptions): Promise<void>;
+
+export function loadAsset<P extends keyof ContentData & string>(assetPath: P): Promise<ContentData[P]>;
+
+export function reloadAsset<P extends keyof ContentData & string>(assetPath: P): Promise<ContentData[P]>;
+
+export function getReport(): ReportEntry[];
+
+export function on<E extends keyof LoaderEvents>(event: E, listener: (payload: LoaderEvents[E]) => void): () => void;
+
+export function off<E extends keyof LoaderEvents>(event: E, listener: (payload: LoaderEvents[E]) => void): void;
+
+export function getContentData(): ContentData;
+export function getContentData<P extends keyof ContentData & string>(assetPath: P): ContentData[P];
+
+export function getValidationErrors(): ValidationErrorEntry[];
+
+/** Register an asset type, or replace a built-in one. Types without parse are not fetched */
+export function registerAssetType(name: string, definition?: {
+    extensions?: string[];
+    parse?: (text: string, filePath: string) => unknown;
+}): void;
+
+export function getAssetTypes(): Array<{ name: string; extensions: string[]; parse?: (text: string, filePath: string) => unknown }>;
+
+export function detectAssetType(filePath: string): string | null;
+
+/** Render text content the way an asset's `render` setting asks for */
+export function renderContent(render: 'markdown', text: string, options?: {
+    markdown?: (markdown: string) => string;
+    sanitize?: boolean | ((html: string) => string);
+}): MarkdownContent;
+
+export function renderMarkdown(markdown: string, options?: { sanitize?: boolean }): string;
+
+export function validateSiteAssets(siteAssets: unknown): SiteAssetsProblem[];
+
+/** Describe a problem found by validateSiteAssets on one line */
+export function formatSiteAssetsError(error: SiteAssetsProblem): string;
+
+export function validateSchema(value: unknown, schema: JsonSchema, path?: string): SchemaError[];
@@ -3,16 +3,421 @@
  * This module is reusable across different sites
  */
 
-let siteAssets = null;
-let contentData = {};
+// Default maximum number of requests in flight at once
+const DEFAULT_CONCURRENCY = 6;
+
+// Server-sent events endpoint of the dev-server command
+const LIVE_RELOAD_URL = '/__dynaloader/events';
+
+// Default time a single request may take, in milliseconds
+const DEFAULT_TIMEOUT = 30000;
+
+// Default number of retries after a network error, timeout or 5xx response
+const DEFAULT_RETRIES = 2;
+
+// Default delay before the first retry, doubled for every further one (milliseconds)
+const DEFAULT_RETRY_DELAY = 500;
+
+// Cache Storage name used when the cache option is true
+const DEFAULT_CACHE_NAME = 'dynaloader';
+
+// Asset types by name, see registerAssetType()
+const assetTypes = new Map();
+
+// Image formats listed first in an image's sources, best compression first
+const PREFERRED_IMAGE_FORMATS = ['avif', 'webp'];
+
+// Format of the content snapshots written by the prerender command
+const SNAPSHOT_FORMAT = 1;
+
+// Id of the script element holding a snapshot inlined in the page
+const SNAPSHOT_ELEMENT_ID = 'dynaloader-snapshot';
+
+// Format of the content bundles written by the bundle command
+const BUNDLE_FORMAT = 1;
+
+/**
+ * Format of site-assets.json this loader reads, stored as its `configVersion`
+ * Configs without one are version 1; the migrate command upgrades them
+ */
+export const CONFIG_VERSION = 2;
+
+// File extensions in allowedExtensions
+const EXTENSIONS_SCHEMA = { type: 'array', items: { type: 'string', pattern: '^\\.[^/]+$' } };
+
+// File rules shared by assets, simple directory contents and combo parts
+const FILE_RULES_SCHEMA = {
+    maxSize: { type: 'integer', minimum: 0 },
+    allowedExtensions: EXTENSIONS_SCHEMA,
+    schema: { type: 'object' },
+    render: { enum: ['markdown'] }
+};
+
+/**
+ * Shape of site-assets.json, checked before anything is loaded from it
+ * site-assets.schema.json, published for editors, is the same schema with descriptions;
+ * test/site-assets-schema.test.js fails when the two differ
+ */
+export const SITE_ASSETS_SCHEMA = {
+    type: 'object',
+    required: ['assets'],
+    properties: {
+        $schema: { type: 'string' },
+        configVersion: { type: 'integer', minimum: 1 },
+        version: { type: ['string', 'number'] },
+        description: { type: 'string' },
+        bundle: {
+            type: ['string', 'object'],
+            required: ['path'],
+            properties: { path: { type: 'string', minLength: 1 }, hash: { type: 'string' } }
+        },
+        assets: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['path'],
+                properties: {
+                    path: { type: 'string', minLength: 1 },
+                    type: { type: 'string', minLength: 1 },
+                    label: { type: 'string' },
+                    description: { type: 'string' },
+                    ...FILE_RULES_SCHEMA,
+                    handler: { type: 'string', minLength: 1 },
+                    loading: { enum: ['eager', 'lazy', 'visible'] },
+                    selector: { type: 'string', minLength: 1 },
+                    required: { type: 'boolean' },
+                    files: { type: 'array', items: { type: 'string', minLength: 1 } },
+                    image: {
+                        type: 'object',
+                        properties: {
+                            width: { type: 'integer', minimum: 0 },
+                            height: { type: 'integer', minimum: 0 },
+                            size: { type: 'integer', minimum: 0 }
+                        }
+                    },
+                    contains: {
+                        type: 'object',
+                        required: ['type'],
+                        properties: {
+                            type: { type: 'string', minLength: 1 },
+                            ...FILE_RULES_SCHEMA,
+                            loadContent: { type: 'boolean' },
+                            parts: {
+                                type: 'array',
+                                minItems: 1,
+                                items: {
+                                    type: 'object',
+                                    required: ['assetType', 'allowedExtensions'],
+                                    properties: {
+                                        assetType: { type: 'string', minLength: 1 },
+                                        ...FILE_RULES_SCHEMA,
+                                        allowedExtensions: { ...EXTENSIONS_SCHEMA, minItems: 1 }
+                                    }
+                                }
+                            }
+                        },
+                        if: { required: ['type'], properties: { type: { const: 'combo' } } },
+                        then: { required: ['parts'] }
+                    }
+                },
+                // Only directories have contents
+                if: { required: ['contains'] },
+                then: { required: ['type'], properties: { type: { const: 'directory' } } }
+            }
+        }
+    }
+};
+
+/**
+ * Error thrown when loaded content fails schema validation and the
+ * validation policy is 'throw'
+ */
+export class AssetValidationError extends Error {
+    /**
+     * @param {Array<Object>} errors - Validation error entries ({ asset, file, errors })
+     */
+    constructor(errors) {
+        const files = errors.map(entry => entry.file).join(', ');
+        super(`Schema validation failed for: ${files}`);
+        this.name = 'AssetValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Error raised by a handler's init, handle, update or dispose function,
+ * attributed to the asset the handler belongs to
+ */
+export class AssetHandlerError extends Error {
+    /**
+     * @param {Object} asset - Asset definition whose handler failed
+     * @param {string} stage - Handler function that failed ('import', 'init', 'handle', 'update' or 'dispose')
+     * @param {Error} cause - Original error
+     */
+    constructor(asset, stage, cause) {
+        super(`Handler ${asset.handler} failed in ${stage} for ${asset.path}: ${cause && cause.message}`);
+        this.name = 'AssetHandlerError';
+        this.asset = asset.path;
+        this.handler = asset.handler;
+        this.stage = stage;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Error thrown when a required asset fails to load and the strict option is set
+ */
+export class AssetLoadError extends Error {
+    /**
+     * @param {Array<Object>} failures - Report entries of the failed required assets
+     */
+    constructor(failures) {
+        const details = failures.map(entry => `${entry.path} (${entry.status})`).join(', ');
+        super(`Required assets failed to load: ${details}`);
+        this.name = 'AssetLoadError';
+        this.failures = failures;
+    }
+}
+
+/**
+ * Error thrown when site-assets.json does not have the shape the loader expects
+ */
+export class SiteAssetsError extends Error {
+    /**
+     * @param {string} assetsPath - URL site-assets.json was loaded from
+     * @param {Array<Object>} errors - Problems found by validateSiteAssets ({ path, message, asset })
+     */
+    constructor(assetsPath, errors) {
+        super(`Invalid ${assetsPath}: ${errors.map(formatSiteAssetsError).join('; ')}`);
+        this.name = 'SiteAssetsError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Create an independent loader with its own configuration and content store
+ * @param {Object} [options] - Loader options
+ * @param {string} [options.assetsPath='site-assets.json'] - Path to the site-assets.json file
+ * @param {string} [options.validation='warn'] - What to do when JSON content fails its schema:
+ *   'warn' (keep content, log warning), 'skip' (drop content), 'throw' (reject) or 'off'
+ * @param {number} [options.concurrency=6] - Maximum number of asset requests in flight at once
+ * @param {string} [options.rootMargin='200px'] - IntersectionObserver root margin for assets loaded
+ *   when visible, so they start loading shortly before scrolling into view
+ * @param {boolean|string} [options.liveReload=false] - Listen for content changes pushed by the
+ *   dev-server command (true), or by a custom server-sent events URL (string)
+ * @param {Object} [options.handlers] - Handler modules keyed by their `handler` path in site-assets.json,
+ *   either the module itself or a function returning a promise of it (e.g. from import.meta.glob)
+ * @param {Function} [options.resolveHandler] - Called with an asset, returns a handler module or the
+ *   URL to import it from (or nothing to fall back to the default resolution)
+ * @param {string} [options.handlerBaseUrl] - Base URL handler paths are resolved against
+ *   (default: the URL of site-assets.json)
+ * @param {Object|false} [options.logger=console] - Object with log, warn and error methods receiving
+ *   the loader's messages, or false to silence them
+ * @param {boolean} [options.strict=false] - Reject when an asset marked `required: true` fails to
+ *   load, fails validation or its handler fails
+ * @param {number} [options.timeout=30000] - Time in milliseconds a single request may take (0 for no limit)
+ * @param {number} [options.retries=2] - Times a request is retried after a network error, timeout or 5xx response
+ * @param {number} [options.retryDelay=500] - Delay in milliseconds before the first retry, doubled for each next one
+ * @param {AbortSignal} [options.signal] - Aborting it cancels all outstanding requests and handlers not yet run
+ * @param {boolean|string} [options.cache=false] - Keep fetched files in Cache Storage (true), or in the
+ *   Cache Storage cache with the given name (string), and use them when offline
+ * @param {boolean} [options.staleWhileRevalidate=true] - With the cache option, use cached files right away
+ *   and revalidate them in the background; when false, revalidate before using them
+ * @param {boolean|Function} [options.sanitize=true] - Sanitize the HTML of assets rendered with
+ *   `render: "markdown"`; false to keep it as is, or a function taking and returning HTML
+ * @param {Function} [options.markdown] - Markdown renderer replacing the built-in one, called with
+ *   the Markdown source and returning HTML
+ * @param {Function} [options.fetch] - fetch implementation used for every request instead of the
+ *   global fetch (the Node loader passes one reading the filesystem)
+ * @param {boolean} [options.runHandlers=true] - Run asset handlers once their content is loaded;
+ *   false to only load content
+ * @param {Object|string|false} [options.snapshot] - Content snapshot from the prerender command to
+ *   hydrate from instead of fetching, or its URL. By default a snapshot inlined in the page
+ *   (script#dynaloader-snapshot) is used; false to ignore it
+ * @param {boolean} [options.bundle=true] - Load content from the bundle named in site-assets.json
+ *   (written by the bundle command) in one request; false to load every file on its own.
+ *   The bundle is not used with liveReload, so development always sees the current files
+ * @returns {Object} Loader with load(), loadAsset(), reloadAsset(), loadHandlers(), on(), off(),
+ *   getContentData(), getSiteAssets(), getValidationErrors(), getReport(), getSnapshot() and reset()
+ */
+export function createLoader(options = {}) {
+    const state = {
+        options: {
+            assetsPath: 'site-assets.json',
+            validation: 'warn',
+            concurrency: DEFAULT_CONCURRENCY,
+            rootMargin: '200px',
+            liveReload: false,
+            strict: false,
+            timeout: DEFAULT_TIMEOUT,
+            retries: DEFAULT_RETRIES,
+            retryDelay: DEFAULT_RETRY_DELAY,
+            cache: false,
+            staleWhileRevalidate: true,
+            sanitize: true,
+            runHandlers: true,
+            bundle: true,
+            ...options
+        },
+        overrides: {},
+        siteAssets: null,
+        contentData: {},
+        validationErrors: [],
+        report: new Map(),
+        loadedAssets: new Set(),
+        pendingAssets: new Map(),
+        observers: new Set(),
+        liveReloadSource: null,
+        cache: null,
+        preloaded: null,
+        snapshotChecked: false,
+        handlerInstances: new Map(),
+        listeners: new Map()
+    };
+
+    const loader = {
+        /**
+         * Load the configuration, all content files, and run handlers
+         * @param {Function} [onComplete] - Called after all handlers have executed
+         * @param {Object} [overrides] - Options overriding the loader's options for this load
+         * @returns {Promise<Object>} Object containing siteAssets, contentData, validationErrors and report
+         */
+        load(onComplete, overrides = {}) {
+            return loadAll(state, onComplete, overrides);
+        },
+
+        /**
+         * Load a single asset on demand and run its handler
+         * Meant for assets with loading "lazy" or "visible"; an asset that is
+         * already loaded is returned without being fetched again
+         * @param {string} assetPath - Path of the asset in site-assets.json
+         * @returns {Promise<*>} The asset's content
+         */
+        loadAsset(assetPath) {
+            return loadSingleAsset(state, assetPath);
+        },
+
+        /**
+         * Fetch a loaded asset again and re-run its handler
+         * Calls the handler's update function, or dispose followed by init and handle
+         * @param {string} assetPath - Path of the asset in site-assets.json
+         * @returns {Promise<*>} The asset's new content
+         */
+        reloadAsset(assetPath) {
+            return reloadLoadedAsset(state, assetPath);
+        },
+
+        /**
+         * Load and execute handlers for the already loaded assets
+         * @param {Function} [onComplete] - Called after all handlers have executed
+         * @param {Object} [overrides] - Options overriding the loader's options
+         */
+        loadHandlers(onComplete, overrides = {}) {
+            const ctx = createContext(state, overrides);
+            return runHandlers(ctx, getLoadedAssets(state), onComplete);
+        },
+
+        /**
+         * Listen for a loader event: 'asset:loaded', 'asset:error', 'asset:invalid',
+         * 'handler:done', 'handler:error', 'progress' or 'complete'
+         * @param {string} event - Event name
+         * @param {Function} listener - Called with the event's payload object
+         * @returns {Function} Removes the listener
+         */
+        on(event, listener) {
+            if (!state.listeners.has(event)) {
+                state.listeners.set(event, new Set());
+            }
+            state.listeners.get(event).add(listener);
+            return () => loader.off(event, listener);
+        },
+
+        /**
+         * Remove a listener added with on()
+         * @param {string} event - Event name
+         * @param {Function} listener - Listener to remove
+         */
+        off(event, listener) {
+            const listeners = state.listeners.get(event);
+            if (listeners) {
+                listeners.delete(listener);
+            }
+        },
+
+        /**
+         * Get the loaded content
+         * @param {string} [assetPath] - Path of an asset in site-assets.json
+         * @returns {*} The content of that asset, or the contentData object keyed by asset path
+         */
+        getContentData(assetPath) {
+            return assetPath === undefined ? state.contentData : state.contentData[assetPath];
+        },
+
+        getSiteAssets() {
+            return state.siteAssets;
+        },
+
+        getValidationErrors() {
+            return state.validationErrors;
+        },
+
+        /**
+         * Get the status of every asset, in site-assets.json order
+         * @returns {Array<Object>} Entries of { path, status, required, httpStatus, messages }
+         */
+        getReport() {
+            return getReportEntries(state);
+        },
+
+        /**
+         * Get the loaded configuration and content as a snapshot the browser
+         * loader can hydrate from (see the snapshot option)
+         * @returns {Object} { format, assetsPath, siteAssets, contentData, validationErrors }
+         */
+        getSnapshot() {
+            return createSnapshot(state);
+        },
+
+        /**
+         * Forget the loaded configuration and content, disposing all handlers
+         * @returns {Promise<void>} Resolves once every handler's dispose function has run
+         */
+        reset() {
+            const disposed = disposeAllHandlers(createContext(state, state.overrides));
+            state.observers.forEach(observer => observer.disconnect());
+            state.observers.clear();
+            if (state.liveReloadSource) {
+                state.liveReloadSource.close();
+                state.liveReloadSource = null;
+            }
+            state.siteAssets = null;
+            state.cache = null;
+            state.preloaded = null;
+            state.contentData = {};
+            state.validationErrors = [];
+            state.report.clear();
+            state.loadedAssets.clear();
+            state.pendingAssets.clear();
+            return disposed;
+        }
+    };
+
+    state.loader = loader;
+    return loader;
+}
+
+// Loader behind the module-level functions below
+const defaultLoader = createLoader();
 
 /**
  * Load site assets configuration, all content files, and handlers
+ * Uses a shared default loader; see createLoader() for independent instances
  * @param {string|Function} assetsPathOrCallback - Path to site-assets.json file (default: 'site-assets.json') or callback function
  * @param {Function} [onComplete] - Optional callback function called after all handlers have executed
- * @returns {Promise<Object>} Object containing siteAssets and contentData
+ * @param {Object} [options] - Loader options (see createLoader)
+ * @returns {Promise<Object>} Object containing siteAssets, contentData, validationErrors and report
  */
-export async function loadSiteAssets(assetsPathOrCallback = 'site-assets.json', onComplete) {
+export async function loadSiteAssets(assetsPathOrCallback = 'site-assets.json', onComplete, options = {}) {
     // Handle case where only callback is provided
     let assetsPath = 'site-assets.json';
     let callback = onComplete;
@@ -23,273 +428,2993 @@ export async function loadSiteAssets(assetsPathOrCallback = 'site-assets.json',
         assetsPath = assetsPathOrCallback;
     }
 
-    try {
-        const response = await fetch(assetsPath);
-        siteAssets = await response.json();
-        await loadContentFiles();
-        await loadHandlers(callback);
-        return { siteAssets, contentData };
-    } catch (error) {
-        console.error('Error loading site assets:', error);
-        throw error;
+    return defaultLoader.load(callback, { ...options, assetsPath });
+}
+
+/**
+ * Build the context shared by the internal loading functions for one run
+ * @param {Object} state - Loader state
+ * @param {Object} overrides - Options overriding the loader's options
+ * @returns {Object} Context with state, merged options, logger, a concurrency limiter and
+ *   the cache strategy ('stale-while-revalidate' or 'network-first')
+ */
+function createContext(state, overrides) {
+    const options = { ...state.options, ...overrides };
+    return {
+        state,
+        options,
+        logger: createLogger(options.logger),
+        limit: createLimiter(options.concurrency),
+        cacheStrategy: options.staleWhileRevalidate ? 'stale-while-revalidate' : 'network-first'
+    };
+}
+
+// Wrap the logger option so every method can be called safely
+function createLogger(logger = console) {
+    const noop = () => {};
+    if (!logger) {
+        return { log: noop, warn: noop, error: noop };
     }
+    return {
+        log: (...args) => (logger.log || noop).apply(logger, args),
+        warn: (...args) => (logger.warn || noop).apply(logger, args),
+        error: (...args) => (logger.error || noop).apply(logger, args)
+    };
 }
 
 /**
- * Load all content files defined in assets
+ * Call the listeners of a loader event
+ * A failing listener is logged and does not interrupt loading
+ * @param {Object} ctx - Load context
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
  */
-async function loadContentFiles() {
-    if (!siteAssets || !siteAssets.assets) return;
+function emit(ctx, event, payload) {
+    const listeners = ctx.state.listeners.get(event);
+    if (!listeners) return;
 
-    // Load all content files defined in assets
-    for (const asset of siteAssets.assets) {
-        // Handle directory assets
-        if (asset.type === 'directory') {
-            if (asset.contains && asset.contains.type === 'combo') {
-                // Load combo assets from directory
-                contentData[asset.path] = await loadComboAssets(asset);
-            } else if (asset.contains) {
-                // Simple directory with single asset type
-                contentData[asset.path] = await loadSimpleDirectoryAssets(asset);
-            } else {
-                // Legacy directory handling (just store path)
-                contentData[asset.path] = asset.path;
+    listeners.forEach(listener => {
+        try {
+            listener(payload);
+        } catch (error) {
+            ctx.logger.error(`Listener for ${event} failed:`, error);
+        }
+    });
+}
+
+/**
+ * Load the configuration, all content files, and run handlers
+ * @param {Object} state - Loader state
+ * @param {Function} [onComplete] - Called after all handlers have executed
+ * @param {Object} overrides - Options overriding the loader's options
+ */
+async function loadAll(state, onComplete, overrides) {
+    const ctx = createContext(state, overrides);
+    state.overrides = overrides;
+    state.validationErrors = [];
+
+    try {
+        const snapshot = await readSnapshot(ctx);
+        if (snapshot) {
+            // Prerendered content is used instead of fetching it
+            checkSiteAssets(ctx, snapshot.siteAssets);
+            state.siteAssets = snapshot.siteAssets;
+            // Its content is validated again as it is used, with this load's options
+            state.preloaded = new Map(Object.entries(snapshot.contentData || {}));
+            state.cache = await openVersionCache(ctx, state.siteAssets.version);
+        } else {
+            // The configuration is always revalidated, as it decides the cache version
+            const configCache = await openCache(ctx, getCacheName(ctx.options));
+            const response = await cachedRequest(ctx, configCache, ctx.options.assetsPath, 'json', 'network-first');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} loading ${ctx.options.assetsPath}`);
+            }
+            checkSiteAssets(ctx, response.data);
+            state.siteAssets = response.data;
+            state.cache = await openVersionCache(ctx, state.siteAssets.version);
+
+            const bundle = await readBundle(ctx);
+            if (bundle) {
+                // Its content is validated again as it is used, with this load's options
+                state.preloaded = new Map(Object.entries(bundle.contentData || {}));
             }
-            continue;
         }
+        state.report = new Map((state.siteAssets.assets || []).map(asset => [asset.path, createReportEntry(asset)]));
+        await loadContentFiles(ctx);
+        throwIfAborted(ctx.options.signal);
 
-        // For images, just store the path
-        if (asset.type === 'image') {
-            contentData[asset.path] = asset.path;
-            continue;
+        if (ctx.options.validation === 'throw' && state.validationErrors.length > 0) {
+            throw new AssetValidationError(state.validationErrors);
         }
+        checkRequiredAssets(ctx);
 
-        try {
-            const response = await fetch(asset.path);
-            if (!response.ok) continue;
+        await runHandlers(ctx, getLoadedAssets(state), onComplete);
+        checkRequiredAssets(ctx);
 
-            if (asset.type === 'json' || asset.path.endsWith('.json')) {
-                contentData[asset.path] = await response.json();
-            } else if (asset.type === 'text' && asset.path.endsWith('.md')) {
-                const text = await response.text();
-                contentData[asset.path] = text;
-            }
-        } catch (error) {
-            console.warn(`Failed to load ${asset.path}:`, error);
+        emit(ctx, 'complete', { contentData: state.contentData });
+        observeVisibleAssets(ctx);
+        connectLiveReload(ctx);
+        return {
+            siteAssets: state.siteAssets,
+            contentData: state.contentData,
+            validationErrors: state.validationErrors,
+            report: getReportEntries(state)
+        };
+    } catch (error) {
+        // Cancelling a load is not an error worth logging
+        if (!isAborted(ctx.options.signal)) {
+            ctx.logger.error('Error loading site assets:', error);
         }
+        throw error;
     }
 }
 
 /**
- * Load combo assets from a directory (e.g., image + json metadata pairs)
+ * Check site-assets.json before anything is loaded from it, throwing a
+ * SiteAssetsError listing every problem
+ * Legacy directory entries (without `contains`) still load, with a warning
+ * @param {Object} ctx - Load context
+ * @param {Object} siteAssets - Parsed site-assets.json
  */
-async function loadComboAssets(asset) {
-    const comboData = {};
-    const dirPath = asset.path;
+function checkSiteAssets(ctx, siteAssets) {
+    const errors = validateSiteAssets(siteAssets);
+    if (errors.length > 0) {
+        throw new SiteAssetsError(ctx.options.assetsPath, errors);
+    }
 
-    // Get all allowed extensions from parts
-    const extensionMap = {}; // Maps extension to asset type
-    asset.contains.parts.forEach(part => {
-        part.allowedExtensions.forEach(ext => {
-            extensionMap[ext] = part.assetType;
-        });
+    siteAssets.assets.filter(isLegacyDirectory).forEach(asset => {
+        ctx.logger.warn(`${asset.path} is a directory without "contains", its handler only gets the path. Upgrade it with: npx migrate`);
     });
+}
 
-    let files = [];
+// Directory entries from before `contains`, upgraded by the migrate command
+function isLegacyDirectory(asset) {
+    return asset.type === 'directory' && !asset.contains;
+}
 
-    // Priority 1: Check for manifest.json in the directory
+/**
+ * Find the snapshot to hydrate from: the snapshot option (the snapshot or its
+ * URL), or by default the one inlined in the page
+ * Only a loader's first load hydrates, and only from a snapshot of the same
+ * site-assets.json, so several loaders can share a page
+ * @param {Object} ctx - Load context
+ * @returns {Promise<Object|null>} The snapshot, or null to load normally
+ */
+async function readSnapshot(ctx) {
+    const { state, options } = ctx;
+    if (state.snapshotChecked || options.snapshot === false) return null;
+    state.snapshotChecked = true;
+
+    let snapshot = options.snapshot;
     try {
-        const manifestResponse = await fetch(`${dirPath}/manifest.json`);
-        if (manifestResponse.ok) {
-            const manifest = await manifestResponse.json();
-            if (manifest.files && Array.isArray(manifest.files)) {
-                files = manifest.files.filter(filename => {
-                    const ext = filename.substring(filename.lastIndexOf('.'));
-                    return extensionMap[ext];
-                });
-                console.log(`Loaded ${files.length} files from ${dirPath}/manifest.json`);
+        if (typeof snapshot === 'string') {
+            const response = await request(ctx, snapshot, 'json');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} loading ${snapshot}`);
             }
+            snapshot = response.data;
+        } else if (!snapshot) {
+            const element = typeof document !== 'undefined' && document.getElementById(SNAPSHOT_ELEMENT_ID);
+            if (!element) return null;
+            snapshot = JSON.parse(element.textContent);
         }
     } catch (error) {
-        // Manifest not found, continue to fallbacks
+        throwIfAborted(options.signal);
+        ctx.logger.warn('Could not read the content snapshot, loading without it:', error);
+        return null;
     }
 
-    // Priority 2: Check if files are explicitly listed in the asset configuration
-    if (files.length === 0 && asset.files && Array.isArray(asset.files)) {
-        // Use the explicit file list from configuration
-        files = asset.files.filter(filename => {
-            const ext = filename.substring(filename.lastIndexOf('.'));
-            return extensionMap[ext];
-        });
-        console.log(`Loaded ${files.length} files from site-assets.json configuration`);
+    if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT || !snapshot.siteAssets) {
+        ctx.logger.warn('Ignoring a content snapshot in an unsupported format, run the prerender command again');
+        return null;
+    }
+    if (normalizePath(snapshot.assetsPath || '') !== normalizePath(options.assetsPath)) {
+        return null;
     }
+    return snapshot;
+}
 
-    // Priority 3: Fall back to trying to fetch directory listing
-    if (files.length === 0) {
-        // Since we can't list directory contents in a browser, we need to scan for known files
-        // This only works if the server has directory listing enabled
-        try {
-            const response = await fetch(dirPath);
-            if (response.ok) {
-                // Parse HTML directory listing (if available)
-                const html = await response.text();
-                const parser = new DOMParser();
-                const doc = parser.parseFromString(html, 'text/html');
-                const links = doc.querySelectorAll('a');
+/**
+ * Fetch the content bundle named by the `bundle` entry of site-assets.json
+ * Falls back to loading files one by one (returns null) when there is no
+ * bundle, the bundle option is off, live reload is on, or the bundle is
+ * missing or does not match the hash site-assets.json expects
+ * @param {Object} ctx - Load context
+ * @returns {Promise<Object|null>} The bundle, or null to load files one by one
+ */
+async function readBundle(ctx) {
+    const { bundle } = ctx.state.siteAssets;
+    if (!bundle || !ctx.options.bundle || ctx.options.liveReload) return null;
 
-                links.forEach(link => {
-                    const href = link.getAttribute('href');
-                    if (href && !href.startsWith('..') && !href.endsWith('/')) {
-                        // Extract just the filename from the href (remove any path components)
-                        const filename = href.split('/').pop();
-                        // Check if file has an allowed extension
-                        const ext = filename.substring(filename.lastIndexOf('.'));
-                        if (extensionMap[ext]) {
-                            files.push(filename);
-                        }
-                    }
-                });
-                if (files.length > 0) {
-                    console.log(`Loaded ${files.length} files from directory listing: ${dirPath}`);
-                }
-            }
-        } catch (error) {
-            // Directory listing failed
+    const { path: bundlePath, hash } = typeof bundle === 'string' ? { path: bundle } : bundle;
+    // The hash in the URL makes every new bundle a new URL for browser and CDN caches
+    const url = hash ? `${bundlePath}?v=${hash}` : bundlePath;
+
+    try {
+        const response = await ctx.limit(() => fetchContent(ctx, url, 'json'));
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${bundlePath}`);
         }
+        if (response.data.format !== BUNDLE_FORMAT || (hash && response.data.hash !== hash)) {
+            ctx.logger.warn(`${bundlePath} does not match site-assets.json, loading files one by one (run: npx bundle)`);
+            return null;
+        }
+        ctx.logger.log(`Loaded content from ${bundlePath}`);
+        return response.data;
+    } catch (error) {
+        throwIfAborted(ctx.options.signal);
+        ctx.logger.warn(`Could not load ${bundlePath}, loading files one by one:`, error);
+        return null;
     }
+}
 
-    // If no files found by any method, warn the user
-    if (files.length === 0) {
-        console.warn(`Could not load files from directory: ${dirPath}`);
-        console.warn(`Solutions:`);
-        console.warn(`  1. Create ${dirPath}/manifest.json with a "files" array (recommended for CMS)`);
-        console.warn(`  2. Add a "files" array to this asset in site-assets.json`);
-        console.warn(`  3. Enable directory listing on your web server`);
-        return comboData;
+// Snapshot of a loader's configuration and content, as returned by getSnapshot()
+function createSnapshot(state) {
+    if (!state.siteAssets) {
+        throw new Error('Site assets are not loaded yet, call load() first');
     }
 
-    // Group files by base name
-    const fileGroups = {};
-    files.forEach(filename => {
-        const ext = filename.substring(filename.lastIndexOf('.'));
-        const baseName = filename.substring(0, filename.lastIndexOf('.'));
+    return {
+        format: SNAPSHOT_FORMAT,
+        assetsPath: normalizePath({ ...state.options, ...state.overrides }.assetsPath),
+        siteAssets: state.siteAssets,
+        contentData: state.contentData,
+        validationErrors: state.validationErrors
+    };
+}
 
-        if (!fileGroups[baseName]) {
-            fileGroups[baseName] = {};
-        }
-        fileGroups[baseName][ext] = filename;
-    });
+// Start a report entry for an asset that has not been loaded yet
+function createReportEntry(asset) {
+    return {
+        path: asset.path,
+        status: 'pending',
+        required: asset.required === true,
+        httpStatus: null,
+        messages: []
+    };
+}
 
-    // Load each file according to its asset type
-    for (const [baseName, fileMap] of Object.entries(fileGroups)) {
-        comboData[baseName] = {};
+// Report entries in site-assets.json order
+function getReportEntries(state) {
+    return [...state.report.values()];
+}
 
-        for (const [ext, filename] of Object.entries(fileMap)) {
-            const assetType = extensionMap[ext];
-            const filePath = `${dirPath}/${filename}`;
+/**
+ * Record a problem with an asset in the load report
+ * The first failure decides the asset's status; later ones only add messages.
+ * A handler error replaces a 'loaded' status
+ * @param {Object} ctx - Load context
+ * @param {string} assetPath - Path of the asset in site-assets.json
+ * @param {string} status - 'not-found', 'parse-error', 'validation-error', 'handler-error' or 'error'
+ * @param {string} message - Description of the problem
+ * @param {number} [httpStatus] - HTTP status of the failed response
+ */
+function reportFailure(ctx, assetPath, status, message, httpStatus) {
+    const entry = ctx.state.report.get(assetPath);
+    if (!entry) return;
 
-            try {
-                if (assetType === 'image') {
-                    // Store path for images
-                    comboData[baseName][ext] = filePath;
-                } else if (assetType === 'json') {
-                    // Load and parse JSON
-                    const response = await fetch(filePath);
-                    if (response.ok) {
-                        comboData[baseName][ext] = await response.json();
-                    }
-                } else if (assetType === 'text') {
-                    // Load text content
-                    const response = await fetch(filePath);
-                    if (response.ok) {
-                        comboData[baseName][ext] = await response.text();
-                    }
-                }
-            } catch (error) {
-                console.warn(`Failed to load ${filePath}:`, error);
-            }
+    if (entry.status === 'pending' || entry.status === 'loaded') {
+        entry.status = status;
+        if (httpStatus) {
+            entry.httpStatus = httpStatus;
         }
     }
+    entry.messages.push(message);
+}
 
-    return comboData;
+/**
+ * Record a file that could not be fetched or parsed, and emit asset:error
+ * @param {Object} ctx - Load context
+ * @param {Object} asset - Asset the file belongs to
+ * @param {string} filePath - Path of the file
+ * @param {string} status - Report status: 'not-found', 'parse-error' or 'error'
+ * @param {Error} error - What went wrong
+ * @param {number} [httpStatus] - HTTP status of the failed response
+ */
+function reportFileError(ctx, asset, filePath, status, error, httpStatus) {
+    reportFailure(ctx, asset.path, status, `Failed to load ${filePath}: ${error.message}`, httpStatus);
+    emit(ctx, 'asset:error', { asset: asset.path, file: filePath, error });
 }
 
 /**
- * Load simple directory assets (single asset type per directory)
+ * With the strict option, throw if any required asset has failed so far
+ * @param {Object} ctx - Load context
  */
-async function loadSimpleDirectoryAssets(asset) {
-    const files = [];
-    const dirPath = asset.path;
+function checkRequiredAssets(ctx) {
+    if (!ctx.options.strict) return;
+
+    const failures = getReportEntries(ctx.state).filter(entry =>
+        entry.required && entry.status !== 'loaded' && entry.status !== 'pending'
+    );
+    if (failures.length > 0) {
+        throw new AssetLoadError(failures);
+    }
+}
+
+/**
+ * Fetch a file of an asset and parse it with its asset type, reporting failures
+ * Types without a parse function are not fetched, their content is the file path
+ * @param {Object} ctx - Load context
+ * @param {Object} asset - Asset the file belongs to
+ * @param {string} filePath - Path of the file
+ * @param {Object} assetType - Registered asset type of the file
+ * @param {string} [render] - `render` setting of the asset or combo part, e.g. 'markdown'
+ * @returns {Promise<Object|null>} { data }, or null when the file could not be loaded
+ */
+async function fetchFile(ctx, asset, filePath, assetType, render) {
+    if (!assetType.parse) {
+        return { data: filePath };
+    }
 
-    // Similar directory listing logic for simple assets
+    let response;
     try {
-        const response = await fetch(dirPath);
-        if (!response.ok) return files;
-
-        const html = await response.text();
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-        const links = doc.querySelectorAll('a');
-
-        links.forEach(link => {
-            const href = link.getAttribute('href');
-            if (href && !href.startsWith('..') && !href.endsWith('/')) {
-                // Extract just the filename from the href
-                const filename = href.split('/').pop();
-                const ext = filename.substring(filename.lastIndexOf('.'));
-                if (asset.contains.allowedExtensions.includes(ext)) {
-                    files.push(`${dirPath}/${filename}`);
-                }
-            }
-        });
+        response = await fetchContent(ctx, filePath, 'text');
     } catch (error) {
-        console.warn(`Failed to load directory ${dirPath}:`, error);
+        if (isAborted(ctx.options.signal)) throw error;
+
+        ctx.logger.warn(`Failed to load ${filePath}:`, error);
+        reportFileError(ctx, asset, filePath, 'error', error);
+        return null;
+    }
+
+    if (!response.ok) {
+        const status = response.status === 404 ? 'not-found' : 'error';
+        reportFileError(ctx, asset, filePath, status, new Error(`HTTP ${response.status}`), response.status);
+        return null;
     }
 
-    return files;
+    try {
+        const data = await assetType.parse(response.data, filePath);
+        return { data: render ? renderContent(render, data, ctx.options) : data };
+    } catch (error) {
+        ctx.logger.warn(`Failed to parse ${filePath}:`, error);
+        reportFileError(ctx, asset, filePath, 'parse-error', error);
+        return null;
+    }
 }
 
 /**
- * Load and execute handlers for assets
- * @param {Function} onComplete - Callback function called after all handlers have executed
+ * Fetch a URL and read its body, with the loader's timeout and retry options
+ * Network errors, timeouts and 5xx responses are retried with exponential backoff;
+ * other error responses are returned without a body. Aborting the `signal` option
+ * cancels the request and any retry still to come
+ * @param {Object} ctx - Load context
+ * @param {string} url - URL to fetch
+ * @param {string} format - 'json' to parse the body as JSON, 'text' to read it as text
+ * @param {Object} [headers] - Request headers
+ * @returns {Promise<Object>} { ok, status, data, body, etag, lastModified }, where data and
+ *   body (the unparsed text) are only set for ok responses
  */
-export async function loadHandlers(onComplete) {
-    if (!siteAssets || !siteAssets.assets) {
-        if (onComplete) onComplete();
-        return;
+async function request(ctx, url, format, headers = {}) {
+    const { retries, retryDelay, signal } = ctx.options;
+
+    for (let attempt = 0; ; attempt++) {
+        let failure;
+        try {
+            const response = await fetchWithTimeout(ctx, url, format, headers);
+            if (response.status < 500 || attempt >= retries) return response;
+            failure = `HTTP ${response.status}`;
+        } catch (error) {
+            // Aborts and unparsable bodies will not get better by asking again
+            throwIfAborted(signal);
+            if (error instanceof SyntaxError || attempt >= retries) throw error;
+            failure = error.message;
+        }
+
+        const delay = retryDelay * 2 ** attempt;
+        ctx.logger.warn(`Request for ${url} failed (${failure}), retrying in ${delay}ms`);
+        await sleep(delay, signal);
     }
+}
 
-    // Load and execute each handler
-    for (const asset of siteAssets.assets) {
-        if (!asset.handler) continue;
+// Make a single request, failing with a TimeoutError when it takes longer than the timeout option
+async function fetchWithTimeout(ctx, url, format, headers) {
+    const { timeout, signal } = ctx.options;
+    throwIfAborted(signal);
 
-        try {
-            // Dynamically import the handler module
-            const handlerModule = await import(`./${asset.handler}`);
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timedOut = false;
+    const timer = timeout > 0 ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout) : null;
 
-            if (typeof handlerModule.handle === 'function') {
-                // Call handler with the loaded content
-                const data = contentData[asset.path];
-                handlerModule.handle(data, asset.path);
-            } else {
-                console.warn(`Handler ${asset.handler} does not export a handle function`);
-            }
-        } catch (error) {
-            console.error(`Failed to load handler ${asset.handler}:`, error);
+    if (signal) {
+        signal.addEventListener('abort', abort, { once: true });
+    }
+
+    try {
+        const response = await (ctx.options.fetch || fetch)(url, { headers, signal: controller.signal });
+        if (!response.ok) {
+            return { ok: false, status: response.status };
+        }
+        // The body is read under the same timeout
+        const body = await response.text();
+        return {
+            ok: true,
+            status: response.status,
+            data: parseBody(body, format),
+            body,
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified')
+        };
+    } catch (error) {
+        if (timedOut) {
+            const timeoutError = new Error(`Request for ${url} timed out after ${timeout}ms`);
+            timeoutError.name = 'TimeoutError';
+            throw timeoutError;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        if (signal) {
+            signal.removeEventListener('abort', abort);
         }
     }
+}
 
-    // Call completion callback if provided
-    if (onComplete) {
-        onComplete();
+// Parse a response body read as text
+function parseBody(body, format) {
+    return format === 'json' ? JSON.parse(body) : body;
+}
+
+/**
+ * Fetch a content file through the loader's cache, or straight from the network
+ * when the cache option is off
+ * @param {Object} ctx - Load context
+ * @param {string} url - URL to fetch
+ * @param {string} format - 'json' or 'text'
+ * @returns {Promise<Object>} Same as request()
+ */
+function fetchContent(ctx, url, format) {
+    if (!ctx.state.cache) {
+        return request(ctx, url, format);
     }
+    return cachedRequest(ctx, ctx.state.cache, url, format, ctx.cacheStrategy);
 }
 
 /**
- * Get the loaded content data
- * @returns {Object} The contentData object
+ * Fetch a URL through a Cache Storage cache
+ * 'stale-while-revalidate' answers from the cache right away and revalidates in
+ * the background; 'network-first' revalidates first. Either way the cached copy
+ * is used when the network fails or the server answers with a 5xx error
+ * @param {Object} ctx - Load context
+ * @param {Cache|null} cache - Cache to use, or null to only use the network
+ * @param {string} url - URL to fetch
+ * @param {string} format - 'json' or 'text'
+ * @param {string} strategy - 'stale-while-revalidate' or 'network-first'
+ * @returns {Promise<Object>} Same as request()
+ */
+async function cachedRequest(ctx, cache, url, format, strategy) {
+    const cached = cache && await readCached(ctx, cache, url, format);
+
+    if (cached && strategy === 'stale-while-revalidate') {
+        revalidate(ctx, cache, url, format, cached).catch(error => {
+            if (!isAborted(ctx.options.signal)) {
+                ctx.logger.warn(`Could not revalidate ${url}:`, error);
+            }
+        });
+        return cached;
+    }
+
+    try {
+        const response = await revalidate(ctx, cache, url, format, cached);
+        if (cached && response.status >= 500) {
+            ctx.logger.warn(`HTTP ${response.status} loading ${url}, using cached copy`);
+            return cached;
+        }
+        return response;
+    } catch (error) {
+        if (!cached || isAborted(ctx.options.signal)) throw error;
+
+        ctx.logger.warn(`Could not reach ${url}, using cached copy:`, error);
+        return cached;
+    }
+}
+
+/**
+ * Fetch a URL with the validators of its cached copy and store the new response
+ * Emits cache:updated when a cached copy was replaced by different content
+ * @param {Object} ctx - Load context
+ * @param {Cache|null} cache - Cache to store the response in
+ * @param {string} url - URL to fetch
+ * @param {string} format - 'json' or 'text'
+ * @param {Object|null} cached - Cached copy, from readCached()
+ * @returns {Promise<Object>} Same as request(); the cached copy when the server answers 304
  */
-export function getContentData() {
-    return contentData;
+async function revalidate(ctx, cache, url, format, cached) {
+    const headers = {};
+    if (cached && cached.etag) {
+        headers['If-None-Match'] = cached.etag;
+    }
+    if (cached && cached.lastModified) {
+        headers['If-Modified-Since'] = cached.lastModified;
+    }
+
+    const response = await request(ctx, url, format, headers);
+    if (response.status === 304 && cached) {
+        return cached;
+    }
+
+    if (response.ok && cache) {
+        const stored = {};
+        if (response.etag) {
+            stored['ETag'] = response.etag;
+        }
+        if (response.lastModified) {
+            stored['Last-Modified'] = response.lastModified;
+        }
+
+        try {
+            await cache.put(url, new Response(response.body, { headers: stored }));
+        } catch (error) {
+            ctx.logger.warn(`Could not cache ${url}:`, error);
+        }
+
+        if (cached && cached.body !== response.body) {
+            emit(ctx, 'cache:updated', { file: url, data: response.data });
+        }
+    }
+    return response;
 }
 
+// Read the cached copy of a URL in the shape request() returns, or null
+async function readCached(ctx, cache, url, format) {
+    try {
+        const response = await cache.match(url);
+        if (!response) return null;
+
+        const body = await response.text();
+        return {
+            ok: true,
+            status: response.status,
+            data: parseBody(body, format),
+            body,
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified')
+        };
+    } catch (error) {
+        ctx.logger.warn(`Ignoring unreadable cached copy of ${url}:`, error);
+        return null;
+    }
+}
+
+// Cache Storage name from the cache option, or null when caching is off
+function getCacheName(options) {
+    if (!options.cache) return null;
+    return typeof options.cache === 'string' ? options.cache : DEFAULT_CACHE_NAME;
+}
+
+// Open a Cache Storage cache, or null when caching is off or unsupported
+async function openCache(ctx, name) {
+    if (!name || typeof caches === 'undefined') return null;
+
+    try {
+        return await caches.open(name);
+    } catch (error) {
+        ctx.logger.warn(`Cache Storage is not available, loading without cache:`, error);
+        return null;
+    }
+}
+
+/**
+ * Open the cache for the content files of a site-assets.json version
+ * Every version gets its own cache and the caches of other versions are
+ * deleted, so bumping `version` invalidates all cached content
+ * @param {Object} ctx - Load context
+ * @param {string} [version] - `version` field of site-assets.json
+ * @returns {Promise<Cache|null>} The cache, or null when caching is off or unsupported
+ */
+async function openVersionCache(ctx, version) {
+    const name = getCacheName(ctx.options);
+    if (!name || typeof caches === 'undefined') return null;
+
+    const versionName = `${name}:${version === undefined ? '' : version}`;
+    try {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(cacheName => cacheName.startsWith(`${name}:`) && cacheName !== versionName)
+            .map(cacheName => caches.delete(cacheName)));
+    } catch (error) {
+        ctx.logger.warn('Could not delete outdated caches:', error);
+    }
+    return openCache(ctx, versionName);
+}
+
+// Wait for a delay, rejecting early when the signal is aborted
+function sleep(ms, signal) {
+    throwIfAborted(signal);
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(getAbortReason(signal));
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+// Whether the signal option has been aborted
+function isAborted(signal) {
+    return Boolean(signal && signal.aborted);
+}
+
+// Throw the abort reason when the signal option has been aborted
+function throwIfAborted(signal) {
+    if (isAborted(signal)) {
+        throw getAbortReason(signal);
+    }
+}
+
+// The error an aborted signal rejects with (older browsers have no signal.reason)
+function getAbortReason(signal) {
+    return signal.reason || new DOMException('The operation was aborted', 'AbortError');
+}
+
+/**
+ * Load all content files defined in assets
+ * Assets are fetched concurrently (up to `options.concurrency` requests at a time)
+ * and stored in contentData in the order they appear in site-assets.json.
+ * Assets with loading "lazy" or "visible" are left for loadAsset()
+ * @param {Object} ctx - Load context
+ */
+async function loadContentFiles(ctx) {
+    const { siteAssets } = ctx.state;
+    if (!siteAssets || !siteAssets.assets) return;
+
+    const eagerAssets = siteAssets.assets.filter(isEager);
+    const total = eagerAssets.length;
+    let loaded = 0;
+
+    emit(ctx, 'progress', { loaded, total });
+    const results = await Promise.all(
+        eagerAssets.map(asset => loadAssetContent(ctx, asset).then(result => {
+            loaded++;
+            emit(ctx, 'progress', { loaded, total, asset: asset.path });
+            return result;
+        }))
+    );
+
+    eagerAssets.forEach((asset, index) => {
+        storeAssetContent(ctx, asset, results[index]);
+    });
+}
+
+/**
+ * Store the result of loadAssetContent in contentData and mark the asset as loaded
+ * @param {Object} ctx - Load context
+ * @param {Object} asset - Asset definition
+ * @param {Object|null} result - Result of loadAssetContent
+ */
+function storeAssetContent(ctx, asset, result) {
+    const { state } = ctx;
+    state.loadedAssets.add(asset.path);
+
+    const entry = state.report.get(asset.path);
+    if (entry && entry.status === 'pending') {
+        entry.status = result ? 'loaded' : 'error';
+    }
+    if (!result) return;
+
+    if (result.skip) {
+        delete state.contentData[asset.path];
+    } else {
+        state.contentData[asset.path] = result.data;
+        emit(ctx, 'asset:loaded', { asset: asset.path, data: result.data });
+    }
+}
+
+// Assets without a loading mode (or with "eager") are loaded up front
+function isEager(asset) {
+    return !asset.loading || asset.loading === 'eager';
+}
+
+// Assets whose content has been loaded, in site-assets.json order
+function getLoadedAssets(state) {
+    if (!state.siteAssets || !state.siteAssets.assets) return [];
+    return state.siteAssets.assets.filter(asset => state.loadedAssets.has(asset.path));
+}
+
+/**
+ * Load a single asset on demand and run its handler
+ * Concurrent calls for the same asset share one request
+ * @param {Object} state - Loader state
+ * @param {string} assetPath - Path of the asset in site-assets.json
+ * @returns {Promise<*>} The asset's content
+ */
+async function loadSingleAsset(state, assetPath) {
+    const asset = findAsset(state, assetPath);
+
+    if (state.loadedAssets.has(asset.path)) {
+        return state.contentData[asset.path];
+    }
+
+    if (!state.pendingAssets.has(asset.path)) {
+        const pending = (async () => {
+            const ctx = createContext(state, state.overrides);
+            const previousErrors = state.validationErrors.length;
+            state.report.set(asset.path, createReportEntry(asset));
+            const result = await loadAssetContent(ctx, asset);
+
+            if (ctx.options.validation === 'throw' && state.validationErrors.length > previousErrors) {
+                throw new AssetValidationError(state.validationErrors.slice(previousErrors));
+            }
+
+            storeAssetContent(ctx, asset, result);
+            checkRequiredAssets(ctx);
+            await runHandlers(ctx, [asset]);
+            checkRequiredAssets(ctx);
+            return state.contentData[asset.path];
+        })();
+
+        state.pendingAssets.set(asset.path, pending);
+        pending.then(
+            () => state.pendingAssets.delete(asset.path),
+            () => state.pendingAssets.delete(asset.path)
+        );
+    }
+
+    return state.pendingAssets.get(asset.path);
+}
+
+/**
+ * Fetch a loaded asset again and re-run its handler
+ * Assets that have not been loaded yet (lazy or not yet visible) are left alone
+ * @param {Object} state - Loader state
+ * @param {string} assetPath - Path of the asset in site-assets.json
+ * @returns {Promise<*>} The asset's new content
+ */
+async function reloadLoadedAsset(state, assetPath) {
+    const asset = findAsset(state, assetPath);
+    if (!state.loadedAssets.has(asset.path)) return undefined;
+
+    const ctx = createContext(state, state.overrides);
+    // A reload wants the current content, not the cached copy
+    ctx.cacheStrategy = 'network-first';
+    state.report.set(asset.path, createReportEntry(asset));
+    const result = await loadAssetContent(ctx, asset);
+    storeAssetContent(ctx, asset, result);
+    await runHandlers(ctx, [asset]);
+    return state.contentData[asset.path];
+}
+
+// Find an asset by path, throwing if the config is not loaded or has no such asset
+function findAsset(state, assetPath) {
+    if (!state.siteAssets) {
+        throw new Error('Site assets are not loaded yet, call load() first');
+    }
+
+    const asset = (state.siteAssets.assets || []).find(a => a.path === assetPath);
+    if (!asset) {
+        throw new Error(`Asset not found in site-assets.json: ${assetPath}`);
+    }
+    return asset;
+}
+
+// Normalize a path for comparison (no leading ./ or /)
+function normalizePath(filePath) {
+    return filePath.replace(/^\.?\//, '');
+}
+
+/**
+ * Connect to the dev server's change events when the liveReload option is set
+ * Changed content is reloaded asset by asset; changes to site-assets.json or a
+ * handler module reload the page, since modules cannot be re-imported
+ * @param {Object} ctx - Load context
+ */
+function connectLiveReload(ctx) {
+    const { state, options } = ctx;
+    if (!options.liveReload || state.liveReloadSource || typeof EventSource === 'undefined') return;
+
+    const url = typeof options.liveReload === 'string' ? options.liveReload : LIVE_RELOAD_URL;
+    const source = new EventSource(url);
+
+    source.addEventListener('change', event => {
+        const changedPath = normalizePath(JSON.parse(event.data).path);
+        const assets = state.siteAssets.assets || [];
+
+        const needsPageReload = changedPath === normalizePath(options.assetsPath) ||
+            assets.some(asset => asset.handler && normalizePath(asset.handler) === changedPath);
+        if (needsPageReload) {
+            location.reload();
+            return;
+        }
+
+        assets
+            .filter(asset => {
+                const assetPath = normalizePath(asset.path);
+                return assetPath === changedPath ||
+                    (asset.type === 'directory' && changedPath.startsWith(`${assetPath}/`));
+            })
+            .forEach(asset => {
+                ctx.logger.log(`Live reload: ${changedPath} changed, reloading ${asset.path}`);
+                reloadLoadedAsset(state, asset.path).catch(error => {
+                    ctx.logger.error(`Failed to reload ${asset.path}:`, error);
+                });
+            });
+    });
+
+    state.liveReloadSource = source;
+}
+
+/**
+ * Start watching the elements of assets with loading "visible" and load each
+ * asset once one of its elements scrolls into view
+ * Without IntersectionObserver, or when no element matches the asset's
+ * selector, the asset is loaded right away
+ * @param {Object} ctx - Load context
+ */
+function observeVisibleAssets(ctx) {
+    const { state } = ctx;
+    const visibleAssets = (state.siteAssets.assets || []).filter(asset =>
+        asset.loading === 'visible' && !state.loadedAssets.has(asset.path)
+    );
+
+    const loadNow = asset => {
+        loadSingleAsset(state, asset.path).catch(error => {
+            ctx.logger.error(`Failed to load ${asset.path}:`, error);
+        });
+    };
+
+    visibleAssets.forEach(asset => {
+        if (typeof IntersectionObserver === 'undefined' || typeof document === 'undefined') {
+            loadNow(asset);
+            return;
+        }
+
+        const elements = asset.selector ? document.querySelectorAll(asset.selector) : [];
+        if (elements.length === 0) {
+            ctx.logger.warn(`No element matches selector "${asset.selector}" for ${asset.path}, loading now`);
+            loadNow(asset);
+            return;
+        }
+
+        const observer = new IntersectionObserver(entries => {
+            if (!entries.some(entry => entry.isIntersecting)) return;
+
+            observer.disconnect();
+            state.observers.delete(observer);
+            loadNow(asset);
+        }, { rootMargin: ctx.options.rootMargin });
+
+        elements.forEach(element => observer.observe(element));
+        state.observers.add(observer);
+    });
+}
+
+/**
+ * Load the content of a single asset
+ * @param {Object} ctx - Load context
+ * @param {Object} asset - Asset definition
+ * @returns {Promise<Object|null>} { data } when loaded, { skip: true } when dropped
+ *   by the validation policy, or null when nothing could be loaded
+ */
+async function loadAssetContent(ctx, asset) {
+    // Content from a snapshot or bundle is used once, later loads (e.g. reloads) fetch it
+    const { preloaded } = ctx.state;
+    if (preloaded && preloaded.has(asset.path)) {
+        const data = preloaded.get(asset.path);
+        preloaded.delete(asset.path);
+        restoreImageData(asset, data);
+        return checkPreloadedContent(ctx, asset, data);
+    }
+
+    // Handle directory assets
+    if (asset.type === 'directory') {
+        if (asset.contains && asset.contains.type === 'combo') {
+            // Load combo assets from directory
+            return { data: await loadComboAssets(ctx, asset) };
+        } else if (asset.contains) {
+            // Simple directory with single asset type
+            return { data: await loadSimpleDirectoryAssets(ctx, asset) };
+        }
+        // Legacy directory handling (just store path)
+        return { data: asset.path };
+    }
+
+    const assetType = assetTypes.get(asset.type) || assetTypes.get(detectAssetType(asset.path));
+    if (!assetType) {
+        const message = asset.type
+            ? `Unknown asset type "${asset.type}" (${asset.path})`
+            : `No asset type registered for the extension of ${asset.path}`;
+        reportFailure(ctx, asset.path, 'error', message);
+        return null;
+    }
+
+    // Images are described from site-assets.json rather than fetched
+    if (assetType.name === 'image') {
+        const image = createImageData(asset.path, asset.image);
+        linkImageVariants([image]);
+        return { data: image };
+    }
+
+    // Other types without a parser just store the path
+    const result = await ctx.limit(() => fetchFile(ctx, asset, asset.path, assetType, asset.render));
+    if (result && !checkSchema(ctx, asset.schema, result.data, asset.path, asset.path)) {
+        return { skip: true };
+    }
+    return result;
+}
+
+/**
+ * Check content from a snapshot or bundle against its schemas, with this load's
+ * validation option, as if its files had just been fetched
+ * They were written with the validation option of their own run, so invalid
+ * content may be in them
+ * @param {Object} ctx - Load context
+ * @param {Object} asset - Asset definition
+ * @param {*} data - The asset's preloaded content
+ * @returns {Object} { data }, or { skip: true } when the validation policy drops it
+ */
+function checkPreloadedContent(ctx, asset, data) {
+    if (asset.type !== 'directory') {
+        return checkSchema(ctx, asset.schema, data, asset.path, asset.path) ? { data } : { skip: true };
+    }
+    if (!asset.contains || !data || typeof data !== 'object') {
+        return { data };
+    }
+
+    if (asset.contains.type === 'combo') {
+        const schemaMap = {};
+        (asset.contains.parts || []).forEach(part => {
+            (part.allowedExtensions || []).forEach(ext => {
+                if (part.schema) {
+                    schemaMap[ext] = part.schema;
+                }
+            });
+        });
+
+        // An invalid part makes the whole combo unusable for handlers
+        const comboData = {};
+        Object.entries(data).forEach(([baseName, combo]) => {
+            const valid = Object.entries(combo).map(([ext, partData]) =>
+                checkSchema(ctx, schemaMap[ext], partData, asset.path, `${asset.path}/${baseName}${ext}`));
+            if (valid.every(Boolean)) {
+                comboData[baseName] = combo;
+            }
+        });
+        return { data: comboData };
+    }
+
+    // Simple directories hold file paths, or content keyed by file path with loadContent
+    if (Array.isArray(data)) {
+        return { data };
+    }
+    const directoryData = {};
+    Object.entries(data).forEach(([filePath, fileData]) => {
+        if (checkSchema(ctx, asset.contains.schema, fileData, asset.path, filePath)) {
+            directoryData[filePath] = fileData;
+        }
+    });
+    return { data: directoryData };
+}
+
+/**
+ * Load combo assets from a directory (e.g., image + json metadata pairs)
+ * @param {Object} ctx - Load context
+ * @param {Object} asset - Directory asset definition
+ */
+async function loadComboAssets(ctx, asset) {
+    const comboData = {};
+    const dirPath = asset.path;
+
+    // Get all allowed extensions from parts
+    const extensionMap = {}; // Maps extension to asset type
+    const schemaMap = {}; // Maps extension to the part's schema
+    const renderMap = {}; // Maps extension to the part's render setting
+    asset.contains.parts.forEach(part => {
+        part.allowedExtensions.forEach(ext => {
+            extensionMap[ext] = part.assetType;
+            if (part.schema) {
+                schemaMap[ext] = part.schema;
+            }
+            if (part.render) {
+                renderMap[ext] = part.render;
+            }
+        });
+    });
+
+    const { files, images } = await discoverDirectoryFiles(ctx, asset, ext => extensionMap[ext]);
+    if (files.length === 0) {
+        return comboData;
+    }
+
+    // Group files by base name
+    const fileGroups = {};
+    files.forEach(filename => {
+        const ext = filename.substring(filename.lastIndexOf('.'));
+        const baseName = filename.substring(0, filename.lastIndexOf('.'));
+
+        if (!fileGroups[baseName]) {
+            fileGroups[baseName] = {};
+        }
+        fileGroups[baseName][ext] = filename;
+    });
+
+    // Load every part of every combo concurrently
+    const groups = Object.entries(fileGroups);
+    const loadedGroups = await Promise.all(groups.map(([baseName, fileMap]) => Promise.all(
+        Object.entries(fileMap).map(([ext, filename]) => ctx.limit(async () => {
+            const assetType = assetTypes.get(extensionMap[ext]);
+            const filePath = `${dirPath}/${filename}`;
+            if (!assetType) {
+                reportFailure(ctx, asset.path, 'error', `Unknown asset type "${extensionMap[ext]}" (${filePath})`);
+                return null;
+            }
+
+            // Images are described from the manifest rather than fetched
+            if (assetType.name === 'image') {
+                return { ext, data: createImageData(filePath, images[filename]) };
+            }
+
+            // Other types without a parser store the file path
+            const result = await fetchFile(ctx, asset, filePath, assetType, renderMap[ext]);
+            if (result && !checkSchema(ctx, schemaMap[ext], result.data, dirPath, filePath)) {
+                return { ext, skip: true };
+            }
+            return result && { ext, data: result.data };
+        }))
+    )));
+
+    // Assemble combos in discovery order
+    groups.forEach(([baseName], index) => {
+        const parts = loadedGroups[index].filter(Boolean);
+
+        // An invalid part makes the whole combo unusable for handlers
+        if (parts.some(part => part.skip)) return;
+
+        comboData[baseName] = {};
+        parts.forEach(part => {
+            comboData[baseName][part.ext] = part.data;
+        });
+
+        // Image parts of the same base name are variants of one picture
+        linkImageVariants(parts.filter(part => extensionMap[part.ext] === 'image').map(part => part.data));
+    });
+
+    return comboData;
+}
+
+/**
+ * Load simple directory assets (single asset type per directory)
+ * Returns an array of file paths, or, when `contains.loadContent` is set for a
+ * type with a parser (json, text, yaml, ...) or for images, an object mapping each
+ * file path to its content or image object
+ * @param {Object} ctx - Load context
+ * @param {Object} asset - Directory asset definition
+ */
+async function loadSimpleDirectoryAssets(ctx, asset) {
+    const dirPath = asset.path;
+    const { type, allowedExtensions = [], loadContent, schema, render } = asset.contains;
+
+    const { files, images } = await discoverDirectoryFiles(ctx, asset, ext => allowedExtensions.includes(ext));
+    const filePaths = files.map(filename => `${dirPath}/${filename}`);
+
+    if (loadContent && type === 'image') {
+        const directoryData = {};
+        const byBaseName = {};
+        files.forEach((filename, index) => {
+            const image = createImageData(filePaths[index], images[filename]);
+            const baseName = filename.substring(0, filename.lastIndexOf('.'));
+            (byBaseName[baseName] = byBaseName[baseName] || []).push(image);
+            directoryData[filePaths[index]] = image;
+        });
+        Object.values(byBaseName).forEach(linkImageVariants);
+        return directoryData;
+    }
+
+    const assetType = assetTypes.get(type);
+    if (!loadContent || !assetType || !assetType.parse) {
+        return filePaths;
+    }
+
+    const directoryData = {};
+    const results = await Promise.all(filePaths.map(filePath => ctx.limit(async () => {
+        const result = await fetchFile(ctx, asset, filePath, assetType, render);
+        if (result && !checkSchema(ctx, schema, result.data, dirPath, filePath)) {
+            return null;
+        }
+        return result;
+    })));
+
+    filePaths.forEach((filePath, index) => {
+        if (results[index]) {
+            directoryData[filePath] = results[index].data;
+        }
+    });
+
+    return directoryData;
+}
+
+/**
+ * Discover the files in a directory asset
+ * Tries, in order: manifest.json in the directory, the asset's `files` array in
+ * site-assets.json, and finally an HTML directory listing from the server
+ * @param {Object} ctx - Load context
+ * @param {Object} asset - Directory asset definition
+ * @param {Function} isAllowed - Called with a file extension, returns true if the directory accepts it
+ * @returns {Promise<Object>} { files, images }: file names relative to the directory, and the
+ *   image metadata from manifest.json keyed by file name (empty without a manifest)
+ */
+async function discoverDirectoryFiles(ctx, asset, isAllowed) {
+    const dirPath = asset.path;
+    const allowedFile = filename => isAllowed(filename.substring(filename.lastIndexOf('.')));
+    let files = [];
+    let images = {};
+
+    // Priority 1: Check for manifest.json in the directory
+    try {
+        const manifest = await ctx.limit(async () => {
+            const manifestResponse = await fetchContent(ctx, `${dirPath}/manifest.json`, 'json');
+            return manifestResponse.ok ? manifestResponse.data : null;
+        });
+        if (manifest && manifest.files && Array.isArray(manifest.files)) {
+            files = manifest.files.filter(allowedFile);
+            images = manifest.images || {};
+            ctx.logger.log(`Loaded ${files.length} files from ${dirPath}/manifest.json`);
+        }
+    } catch (error) {
+        throwIfAborted(ctx.options.signal);
+        // Manifest not found, continue to fallbacks
+    }
+
+    // Priority 2: Check if files are explicitly listed in the asset configuration
+    if (files.length === 0 && asset.files && Array.isArray(asset.files)) {
+        // Use the explicit file list from configuration
+        files = asset.files.filter(allowedFile);
+        ctx.logger.log(`Loaded ${files.length} files from site-assets.json configuration`);
+    }
+
+    // Priority 3: Fall back to trying to fetch directory listing
+    if (files.length === 0) {
+        // Since we can't list directory contents in a browser, we need to scan for known files
+        // This only works if the server has directory listing enabled
+        try {
+            const html = await ctx.limit(async () => {
+                const response = await fetchContent(ctx, dirPath, 'text');
+                return response.ok ? response.data : null;
+            });
+            if (html) {
+                // Parse HTML directory listing (if available)
+                parseDirectoryListing(html).forEach(href => {
+                    if (href && !href.startsWith('..') && !href.endsWith('/')) {
+                        // Extract just the filename from the href (remove any path components)
+                        const filename = href.split('/').pop();
+                        // Check if file has an allowed extension
+                        if (allowedFile(filename)) {
+                            files.push(filename);
+                        }
+                    }
+                });
+                if (files.length > 0) {
+                    ctx.logger.log(`Loaded ${files.length} files from directory listing: ${dirPath}`);
+                }
+            }
+        } catch (error) {
+            throwIfAborted(ctx.options.signal);
+            // Directory listing failed
+        }
+    }
+
+    // If no files found by any method, warn the user
+    if (files.length === 0) {
+        reportFailure(ctx, asset.path, 'not-found', `No files found in directory ${dirPath}`);
+        ctx.logger.warn(`Could not load files from directory: ${dirPath}`);
+        ctx.logger.warn(`Solutions:`);
+        ctx.logger.warn(`  1. Create ${dirPath}/manifest.json with a "files" array (recommended for CMS, run: npx build-manifest)`);
+        ctx.logger.warn(`  2. Add a "files" array to this asset in site-assets.json`);
+        ctx.logger.warn(`  3. Enable directory listing on your web server`);
+    }
+
+    return { files, images };
+}
+
+// Extract the link targets of an HTML directory listing
+function parseDirectoryListing(html) {
+    const links = [];
+    const linkPattern = /<a\s[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+    let match;
+    while ((match = linkPattern.exec(html)) !== null) {
+        const href = match[1] ?? match[2] ?? match[3];
+        links.push(href
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&'));
+    }
+    return links;
+}
+
+/**
+ * Describe an image for handlers: its path plus the metadata build-manifest
+ * precomputed (dimensions and file size are null when unknown)
+ * The object converts to its path, so `img.src = data` keeps working
+ * @param {string} src - Path of the image
+ * @param {Object} [metadata] - { width, height, size } from manifest.json or site-assets.json
+ * @returns {Object} { src, format, type, width, height, size, variants, sources }
+ */
+function createImageData(src, metadata = {}) {
+    const format = getImageFormat(src);
+    const image = {
+        src,
+        format,
+        type: format === 'svg' ? 'image/svg+xml' : `image/${format}`,
+        width: metadata.width ?? null,
+        height: metadata.height ?? null,
+        size: metadata.size ?? null,
+        variants: [],
+        sources: []
+    };
+
+    addImageToString(image);
+    return image;
+}
+
+// Make an image object convert to its path
+function addImageToString(image) {
+    Object.defineProperty(image, 'toString', { value: () => image.src, configurable: true });
+}
+
+/**
+ * Give the image objects of an asset's snapshot or bundle content back their
+ * toString, which JSON does not keep
+ * @param {Object} asset - Asset definition
+ * @param {*} data - The asset's content from the snapshot or bundle
+ */
+function restoreImageData(asset, data) {
+    const restore = image => {
+        if (image && typeof image === 'object' && typeof image.src === 'string') {
+            addImageToString(image);
+        }
+    };
+
+    if (asset.type !== 'directory') {
+        if ((asset.type || detectAssetType(asset.path)) === 'image') {
+            restore(data);
+        }
+    } else if (asset.contains && asset.contains.type === 'combo') {
+        const imageExtensions = (asset.contains.parts || [])
+            .filter(part => part.assetType === 'image')
+            .flatMap(part => part.allowedExtensions || []);
+        Object.values(data || {}).forEach(combo => imageExtensions.forEach(ext => restore(combo[ext])));
+    } else if (asset.contains && asset.contains.type === 'image' && asset.contains.loadContent) {
+        Object.values(data || {}).forEach(restore);
+    }
+}
+
+// Image format from a file extension ('jpeg' for .jpg and .jpeg)
+function getImageFormat(filePath) {
+    const ext = filePath.substring(filePath.lastIndexOf('.') + 1).toLowerCase();
+    return ext === 'jpg' ? 'jpeg' : ext;
+}
+
+/**
+ * Fill in the variants and <picture> sources of images that show the same picture
+ * Sources list the preferred formats first, each with a srcset entry
+ * carrying its width when known
+ * @param {Array<Object>} images - Image objects from createImageData
+ */
+function linkImageVariants(images) {
+    const rank = image => {
+        const index = PREFERRED_IMAGE_FORMATS.indexOf(image.format);
+        return index === -1 ? PREFERRED_IMAGE_FORMATS.length : index;
+    };
+    const sorted = [...images].sort((a, b) => rank(a) - rank(b));
+
+    images.forEach(image => {
+        image.variants = sorted
+            .filter(other => other !== image)
+            .map(({ src, format, type, width, height, size }) => ({ src, format, type, width, height, size }));
+        image.sources = sorted.map(variant => ({
+            srcset: variant.width ? `${variant.src} ${variant.width}w` : variant.src,
+            type: variant.type
+        }));
+    });
+}
+
+/**
+ * Load and execute handlers for assets
+ * Usually called automatically by loadSiteAssets, uses the default loader
+ * @param {Function} onComplete - Callback function called after all handlers have executed
+ * @param {Object} [options] - Loader options
+ * @param {number} [options.concurrency=6] - Maximum number of handler imports in flight at once
+ */
+export async function loadHandlers(onComplete, options = {}) {
+    return defaultLoader.loadHandlers(onComplete, options);
+}
+
+/**
+ * Load and execute handlers for the given assets
+ * Handler modules are imported concurrently, but handlers always run one after
+ * another in the order of the assets list, each awaited before the next starts
+ * @param {Object} ctx - Load context
+ * @param {Array<Object>} assets - Assets whose handlers should run
+ * @param {Function} [onComplete] - Called after all handlers have executed
+ */
+async function runHandlers(ctx, assets, onComplete) {
+    const handlerAssets = ctx.options.runHandlers ? assets.filter(asset => asset.handler) : [];
+
+    // Dynamically import all handler modules up front
+    const imports = handlerAssets.map(asset => ctx.limit(() => importHandler(ctx, asset)).then(
+        handlerModule => ({ handlerModule }),
+        error => ({ error })
+    ));
+
+    // Execute each handler in order as soon as its module is available
+    for (const [index, asset] of handlerAssets.entries()) {
+        const { handlerModule, error } = await imports[index];
+        throwIfAborted(ctx.options.signal);
+
+        try {
+            if (error) throw new AssetHandlerError(asset, 'import', error);
+            await invokeHandler(ctx, asset, handlerModule);
+            emit(ctx, 'handler:done', { asset: asset.path, handler: asset.handler });
+        } catch (error) {
+            ctx.logger.error(error.message, error.cause || error);
+            reportFailure(ctx, asset.path, 'handler-error', error.message);
+            emit(ctx, 'handler:error', { asset: asset.path, handler: asset.handler, error });
+        }
+    }
+
+    // Call completion callback if provided
+    if (onComplete) {
+        onComplete();
+    }
+}
+
+/**
+ * Import the handler module of an asset
+ * Handlers registered in the `handlers` option win, then the `resolveHandler`
+ * option, then the handler path resolved against `handlerBaseUrl` or, by
+ * default, the URL of site-assets.json
+ * @param {Object} ctx - Load context
+ * @param {Object} asset - Asset definition
+ * @returns {Promise<Object>} The handler module
+ */
+async function importHandler(ctx, asset) {
+    const { handlers, resolveHandler, handlerBaseUrl, assetsPath, signal } = ctx.options;
+    throwIfAborted(signal);
+
+    if (handlers) {
+        const key = Object.keys(handlers).find(name => normalizePath(name) === normalizePath(asset.handler));
+        if (key) {
+            const registered = handlers[key];
+            // Lazy registrations are called on first use
+            return typeof registered === 'function' ? registered() : registered;
+        }
+    }
+
+    if (resolveHandler) {
+        const resolved = await resolveHandler(asset);
+        if (resolved && typeof resolved === 'object' && !(resolved instanceof URL)) {
+            return resolved;
+        }
+        if (resolved) {
+            return import(/* @vite-ignore */ /* webpackIgnore: true */ String(resolved));
+        }
+    }
+
+    const baseUrl = new URL(handlerBaseUrl || assetsPath, getDocumentUrl());
+    return import(/* @vite-ignore */ /* webpackIgnore: true */ new URL(asset.handler, baseUrl).href);
+}
+
+// URL relative paths are resolved against: the page in browsers, this module elsewhere
+function getDocumentUrl() {
+    if (typeof document !== 'undefined' && document.baseURI) return document.baseURI;
+    if (typeof location !== 'undefined') return location.href;
+    return import.meta.url;
+}
+
+/**
+ * Run a handler's lifecycle for an asset's current content
+ * The first run calls init(context) then handle(data, assetPath, context). Later
+ * runs (e.g. after reloadAsset) call update(data, context) when the handler
+ * exports it, otherwise the previous run is disposed and the handler starts over
+ * @param {Object} ctx - Load context
+ * @param {Object} asset - Asset definition
+ * @param {Object} handlerModule - Imported handler module
+ */
+async function invokeHandler(ctx, asset, handlerModule) {
+    const { state } = ctx;
+    const data = state.contentData[asset.path];
+    const previous = state.handlerInstances.get(asset.path);
+
+    if (previous && previous.handlerModule === handlerModule && typeof handlerModule.update === 'function') {
+        await callHandler(asset, 'update', () => handlerModule.update(data, previous.context));
+        return;
+    }
+
+    if (previous) {
+        await disposeHandler(state, asset.path);
+    }
+
+    if (typeof handlerModule.handle !== 'function') {
+        ctx.logger.warn(`Handler ${asset.handler} does not export a handle function`);
+        return;
+    }
+
+    const controller = new AbortController();
+    const context = {
+        asset,
+        assetPath: asset.path,
+        loader: state.loader,
+        getContentData: state.loader.getContentData,
+        signal: controller.signal
+    };
+    state.handlerInstances.set(asset.path, { handlerModule, controller, context });
+
+    if (typeof handlerModule.init === 'function') {
+        await callHandler(asset, 'init', () => handlerModule.init(context));
+    }
+
+    // Call handler with the loaded content
+    await callHandler(asset, 'handle', () => handlerModule.handle(data, asset.path, context));
+}
+
+// Call (and await) a handler function, attributing any error to the asset
+async function callHandler(asset, stage, fn) {
+    try {
+        await fn();
+    } catch (error) {
+        throw new AssetHandlerError(asset, stage, error);
+    }
+}
+
+/**
+ * Dispose the handler run for an asset: abort its signal and call its dispose function
+ * @param {Object} state - Loader state
+ * @param {string} assetPath - Path of the asset in site-assets.json
+ */
+async function disposeHandler(state, assetPath) {
+    const instance = state.handlerInstances.get(assetPath);
+    if (!instance) return;
+
+    state.handlerInstances.delete(assetPath);
+    instance.controller.abort();
+
+    if (typeof instance.handlerModule.dispose === 'function') {
+        await callHandler(instance.context.asset, 'dispose', () => instance.handlerModule.dispose(instance.context));
+    }
+}
+
+// Dispose every handler of a loader, logging failures
+async function disposeAllHandlers(ctx) {
+    const { state } = ctx;
+    const assetPaths = [...state.handlerInstances.keys()];
+
+    for (const assetPath of assetPaths) {
+        try {
+            await disposeHandler(state, assetPath);
+        } catch (error) {
+            ctx.logger.error(error.message, error.cause);
+        }
+    }
+}
+
+/**
+ * Load a single asset on demand and run its handler, using the default loader
+ * @param {string} assetPath - Path of the asset in site-assets.json
+ * @returns {Promise<*>} The asset's content
+ */
+export function loadAsset(assetPath) {
+    return defaultLoader.loadAsset(assetPath);
+}
+
+/**
+ * Fetch a loaded asset again and re-run its handler, using the default loader
+ * @param {string} assetPath - Path of the asset in site-assets.json
+ * @returns {Promise<*>} The asset's new content
+ */
+export function reloadAsset(assetPath) {
+    return defaultLoader.reloadAsset(assetPath);
+}
+
+/**
+ * Get the status of every asset of the default loader, in site-assets.json order
+ * @returns {Array<Object>} Entries of { path, status, required, httpStatus, messages }
+ */
+export function getReport() {
+    return defaultLoader.getReport();
+}
+
+/**
+ * Listen for an event of the default loader (see createLoader)
+ * @param {string} event - Event name
+ * @param {Function} listener - Called with the event's payload object
+ * @returns {Function} Removes the listener
+ */
+export function on(event, listener) {
+    return defaultLoader.on(event, listener);
+}
+
+/**
+ * Remove a listener added with on()
+ * @param {string} event - Event name
+ * @param {Function} listener - Listener to remove
+ */
+export function off(event, listener) {
+    defaultLoader.off(event, listener);
+}
+
+/**
+ * Get the loaded content data
+ * @param {string} [assetPath] - Path of an asset in site-assets.json
+ * @returns {*} The content of that asset, or the contentData object keyed by asset path
+ */
+export function getContentData(assetPath) {
+    return defaultLoader.getContentData(assetPath);
+}
+
+/**
+ * Get the schema validation errors collected by the last load
+ * @returns {Array<Object>} Entries of { asset, file, errors }
+ */
+export function getValidationErrors() {
+    return defaultLoader.getValidationErrors();
+}
+
+/**
+ * Register an asset type, or replace a built-in one
+ * Types are shared by every loader. Built in are json, text (.md, .txt), image,
+ * yaml, csv (an array of row objects keyed by the header row), toml, html
+ * (fragments) and svg (markup ready to inline)
+ * @param {string} name - Name used as `type`, `assetType` or `contains.type` in site-assets.json
+ * @param {Object} definition - Type definition
+ * @param {Array<string>} definition.extensions - File extensions of the type, with the leading dot
+ * @param {Function} [definition.parse] - Called with a file's text and path, returns (or resolves to)
+ *   its content. Types without parse are not fetched: their content is the file path
+ */
+export function registerAssetType(name, { extensions = [], parse } = {}) {
+    if (!name || name === 'directory') {
+        throw new Error(`Invalid asset type name: ${name}`);
+    }
+    if (parse !== undefined && typeof parse !== 'function') {
+        throw new Error(`parse for asset type ${name} must be a function`);
+    }
+
+    assetTypes.set(name, {
+        name,
+        extensions: extensions.map(ext => ext.toLowerCase()),
+        parse
+    });
+}
+
+/**
+ * Get the registered asset types
+ * @returns {Array<Object>} Entries of { name, extensions, parse }
+ */
+export function getAssetTypes() {
+    return [...assetTypes.values()];
+}
+
+/**
+ * Find the asset type of a file from its extension
+ * @param {string} filePath - Path of the file
+ * @returns {string|null} Name of the type, or null if no registered type claims the extension
+ */
+export function detectAssetType(filePath) {
+    const dot = filePath.lastIndexOf('.');
+    if (dot === -1) return null;
+
+    const ext = filePath.substring(dot).toLowerCase();
+    const assetType = [...assetTypes.values()].find(type => type.extensions.includes(ext));
+    return assetType ? assetType.name : null;
+}
+
+registerAssetType('json', { extensions: ['.json'], parse: text => JSON.parse(text) });
+registerAssetType('text', { extensions: ['.md', '.txt'], parse: text => text });
+registerAssetType('image', { extensions: ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.avif'] });
+registerAssetType('yaml', { extensions: ['.yaml', '.yml'], parse: parseYaml });
+registerAssetType('csv', { extensions: ['.csv'], parse: parseCsv });
+registerAssetType('toml', { extensions: ['.toml'], parse: parseToml });
+registerAssetType('html', { extensions: ['.html', '.htm'], parse: parseHtmlFragment });
+registerAssetType('svg', { extensions: ['.svg'], parse: parseSvg });
+
+/**
+ * Turn text content into the shape asked for by an asset's `render` setting,
+ * as the loader does before checking it against the schema
+ * @param {string} render - Render setting; only 'markdown' is supported
+ * @param {*} text - Parsed content of the file
+ * @param {Object} [options] - The loader's `markdown` and `sanitize` options
+ * @returns {Object} For 'markdown': { frontMatter, html, raw }
+ */
+export function renderContent(render, text, { markdown, sanitize = true } = {}) {
+    if (render !== 'markdown') {
+        throw new Error(`Unknown render setting "${render}"`);
+    }
+    if (typeof text !== 'string') {
+        throw new Error('render "markdown" needs a text asset');
+    }
+
+    const { frontMatter, body } = splitFrontMatter(text);
+    let html = markdown ? markdown(body) : renderMarkdown(body, { sanitize: false });
+
+    if (typeof sanitize === 'function') {
+        html = sanitize(html);
+    } else if (sanitize) {
+        html = sanitizeHtml(html);
+    }
+
+    return { frontMatter, html, raw: text };
+}
+
+/**
+ * Render Markdown to HTML with the built-in renderer
+ * Supports headings, paragraphs, emphasis, links, images, code, lists,
+ * blockquotes, tables and horizontal rules. Raw HTML is passed through
+ * unless `sanitize` is set
+ * @param {string} markdown - Markdown source (without front matter)
+ * @param {Object} [options] - Render options
+ * @param {boolean} [options.sanitize=true] - Remove unsafe HTML from the result
+ * @returns {string} The HTML
+ */
+export function renderMarkdown(markdown, { sanitize = true } = {}) {
+    const html = renderMarkdownBlocks(markdown.replace(/\r\n?/g, '\n').split('\n')).join('\n');
+    return sanitize ? sanitizeHtml(html) : html;
+}
+
+/**
+ * Validate parsed content against a schema and apply the validation policy
+ * @param {Object} ctx - Load context
+ * @param {Object} schema - JSON schema declared for the content (may be undefined)
+ * @param {*} data - Parsed content
+ * @param {string} assetPath - Path of the asset in site-assets.json
+ * @param {string} filePath - Path of the file the content was loaded from
+ * @returns {boolean} False if the content should be skipped
+ */
+function checkSchema(ctx, schema, data, assetPath, filePath) {
+    const { options } = ctx;
+    if (!schema || options.validation === 'off') return true;
+
+    const errors = validateSchema(data, schema);
+    if (errors.length === 0) return true;
+
+    ctx.state.validationErrors.push({ asset: assetPath, file: filePath, errors });
+    emit(ctx, 'asset:invalid', { asset: assetPath, file: filePath, errors });
+    errors.forEach(error => {
+        reportFailure(ctx, assetPath, 'validation-error', `${filePath} ${error.path}: ${error.message}`);
+    });
+
+    // 'throw' is raised once all content has been checked
+    if (options.validation === 'throw') return true;
+
+    const action = options.validation === 'skip' ? 'skipping' : 'using anyway';
+    ctx.logger.warn(`Schema validation failed for ${filePath} (${action}):`);
+    errors.forEach(error => ctx.logger.warn(`  ${error.path}: ${error.message}`));
+
+    return options.validation !== 'skip';
+}
+
+/**
+ * Check the shape of a site-assets.json configuration
+ * Covers what the loader relies on: field types, a `contains` with `parts` for
+ * combo directories, unique asset paths and a configVersion this loader reads
+ * @param {*} siteAssets - Parsed site-assets.json
+ * @returns {Array<Object>} List of { path, message, asset } problems, where asset is
+ *   the path of the asset entry the problem is in (empty when valid)
+ */
+export function validateSiteAssets(siteAssets) {
+    const errors = validateSchema(siteAssets, SITE_ASSETS_SCHEMA);
+    if (errors.length > 0 && (!siteAssets || !Array.isArray(siteAssets.assets))) {
+        return errors.map(error => ({ ...error, asset: null }));
+    }
+
+    const { configVersion, assets } = siteAssets;
+    if (Number.isInteger(configVersion) && configVersion > CONFIG_VERSION) {
+        errors.push({
+            path: '$.configVersion',
+            message: `is ${configVersion}, but this version of dynaloader reads up to ${CONFIG_VERSION}; update dynaloader`
+        });
+    }
+
+    const seen = new Map();
+    assets.forEach((asset, index) => {
+        if (!asset || typeof asset.path !== 'string') return;
+        const assetPath = normalizePath(asset.path);
+        if (seen.has(assetPath)) {
+            errors.push({ path: `$.assets[${index}].path`, message: `duplicate of $.assets[${seen.get(assetPath)}].path` });
+        } else {
+            seen.set(assetPath, index);
+        }
+    });
+
+    // Name the asset each problem is in, as indexes are hard to find in a long file
+    return errors.map(error => {
+        const match = /^\$\.assets\[(\d+)\]/.exec(error.path);
+        const asset = match && assets[match[1]];
+        return { ...error, asset: asset && typeof asset.path === 'string' ? asset.path : null };
+    });
+}
+
+// Describe a problem found by validateSiteAssets on one line
+export function formatSiteAssetsError(error) {
+    return `${error.path}${error.asset ? ` (${error.asset})` : ''}: ${error.message}`;
+}
+
+/**
+ * Validate a value against a JSON schema
+ * Supports the subset of JSON Schema produced by generate-schema and commonly
+ * written by hand: type, enum, const, properties, required, additionalProperties,
+ * items, min/max constraints, pattern, format, anyOf, oneOf, allOf, not and if/then/else
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} [path='$'] - Location of the value, used in error messages
+ * @returns {Array<Object>} List of { path, message } errors (empty when valid)
+ */
+export function validateSchema(value, schema, path = '$') {
+    const errors = [];
+
+    if (!schema || typeof schema !== 'object') return errors;
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path, message: `expected ${types.join(' or ')}, got ${describeType(value)}` });
+            // Further keywords are meaningless for the wrong type
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+    }
+
+    if ('const' in schema && !isEqual(schema.const, value)) {
+        errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `must match pattern ${schema.pattern}` });
+        }
+        if (schema.format && !matchesFormat(value, schema.format)) {
+            errors.push({ path, message: `must be a valid ${schema.format}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+            errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+            errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push({ path, message: `missing required property "${key}"` });
+            }
+        });
+
+        for (const [key, propValue] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateSchema(propValue, properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path, message: `unexpected property "${key}"` });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(propValue, schema.additionalProperties, `${path}.${key}`));
+            }
+        }
+    }
+
+    if (schema.allOf) {
+        schema.allOf.forEach(subSchema => {
+            errors.push(...validateSchema(value, subSchema, path));
+        });
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(subSchema => validateSchema(value, subSchema, path).length === 0)) {
+        errors.push({ path, message: 'must match at least one schema in anyOf' });
+    }
+
+    if (schema.oneOf) {
+        const matches = schema.oneOf.filter(subSchema => validateSchema(value, subSchema, path).length === 0).length;
+        if (matches !== 1) {
+            errors.push({ path, message: `must match exactly one schema in oneOf (matched ${matches})` });
+        }
+    }
+
+    if (schema.not && validateSchema(value, schema.not, path).length === 0) {
+        errors.push({ path, message: 'must not match the schema in not' });
+    }
+
+    if (schema.if && typeof schema.if === 'object') {
+        const branch = validateSchema(value, schema.if, path).length === 0 ? schema.then : schema.else;
+        errors.push(...validateSchema(value, branch, path));
+    }
+
+    return errors;
+}
+
+/**
+ * Create a limiter that runs at most `max` tasks at the same time
+ * @param {number} [max=DEFAULT_CONCURRENCY] - Maximum number of tasks in flight (Infinity for no limit)
+ * @returns {Function} Takes a task (a function returning a promise) and returns a promise of its result
+ */
+function createLimiter(max = DEFAULT_CONCURRENCY) {
+    const limit = max > 0 ? max : DEFAULT_CONCURRENCY;
+    const queue = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= limit || queue.length === 0) return;
+
+        const { task, resolve, reject } = queue.shift();
+        active++;
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return task => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+// Check a value against a single JSON schema type name
+function matchesType(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'string': return typeof value === 'string';
+        case 'boolean': return typeof value === 'boolean';
+        default: return true;
+    }
+}
+
+// Describe a value's JSON type for error messages
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+// Check string formats (kept in line with what generate-schema infers)
+function matchesFormat(value, format) {
+    switch (format) {
+        case 'uri':
+            try {
+                new URL(value);
+                return true;
+            } catch {
+                return false;
+            }
+        case 'email':
+            return /^[^\s@]+@[^\s@]+$/.test(value);
+        case 'date':
+            return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+        case 'date-time':
+            return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/.test(value) && !isNaN(Date.parse(value));
+        default:
+            // Unknown formats are annotations only
+            return true;
+    }
+}
+
+// Deep equality for enum/const comparisons
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Parse YAML into plain values
+ * Covers the subset used for content files: block mappings and sequences,
+ * flow collections on a single line, plain and quoted scalars, block scalars
+ * (| and >) and comments. Anchors, aliases, tags and multiple documents are
+ * not supported
+ * @param {string} text - YAML source
+ * @returns {*} The parsed value (null for an empty document)
+ */
+function parseYaml(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    let index = 0;
+
+    const fail = message => {
+        throw new SyntaxError(`YAML line ${index + 1}: ${message}`);
+    };
+    const indentOf = line => line.match(/^ */)[0].length;
+    const isSequenceItem = content => content === '-' || content.startsWith('- ');
+
+    // Move past blank lines, comments and document markers
+    const skipEmpty = () => {
+        while (index < lines.length && /^\s*(#.*)?$|^(---|\.\.\.)(\s.*)?$/.test(lines[index])) {
+            index++;
+        }
+    };
+
+    const parseBlock = minIndent => {
+        skipEmpty();
+        if (index >= lines.length) return null;
+
+        const indent = indentOf(lines[index]);
+        if (indent < minIndent) return null;
+
+        if (lines[index][indent] === '\t') fail('tabs are not allowed for indentation');
+        return parseItem(indent);
+    };
+
+    const parseSequence = indent => {
+        const items = [];
+
+        for (skipEmpty(); index < lines.length; skipEmpty()) {
+            const lineIndent = indentOf(lines[index]);
+            const content = lines[index].slice(lineIndent);
+            if (lineIndent < indent || !isSequenceItem(content)) break;
+            if (lineIndent > indent) fail('bad indentation of a sequence item');
+
+            const rest = content.slice(1).trimStart();
+            if (rest === '' || rest.startsWith('#')) {
+                index++;
+                items.push(parseBlock(indent + 1));
+            } else {
+                // Re-read the item as a block starting where its content starts,
+                // so "- key: value" continues as a mapping on the following lines
+                const column = lineIndent + content.length - rest.length;
+                lines[index] = ' '.repeat(column) + rest;
+                items.push(parseItem(column));
+            }
+        }
+        return items;
+    };
+
+    // A sequence item or mapping value written on the line of its dash or key
+    const parseItem = column => {
+        const content = lines[index].slice(column);
+        if (isSequenceItem(content)) return parseSequence(column);
+        if (findYamlColon(content) !== -1 && !/^[[{]/.test(content)) return parseMapping(column);
+
+        const value = parseYamlValue(stripYamlComment(content), fail);
+        index++;
+        return value;
+    };
+
+    const parseMapping = indent => {
+        const mapping = {};
+
+        for (skipEmpty(); index < lines.length; skipEmpty()) {
+            const lineIndent = indentOf(lines[index]);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) fail('bad indentation of a mapping entry');
+
+            const content = lines[index].slice(lineIndent);
+            const colon = findYamlColon(content);
+            if (isSequenceItem(content)) break;
+            if (colon === -1) fail(`expected "key: value", got "${content}"`);
+
+            const key = parseYamlKey(content.slice(0, colon).trim(), fail);
+            const value = stripYamlComment(content.slice(colon + 1).trim());
+
+            if (value === '') {
+                // Nested block; sequences may sit at the key's own indentation
+                index++;
+                skipEmpty();
+                const next = index < lines.length ? lines[index] : '';
+                const sameLevelSequence = indentOf(next) === indent && isSequenceItem(next.slice(indent));
+                mapping[key] = sameLevelSequence ? parseSequence(indent) : parseBlock(indent + 1);
+            } else if (/^[|>][-+]?$/.test(value)) {
+                index++;
+                mapping[key] = parseBlockScalar(value, indent);
+            } else {
+                mapping[key] = parseYamlValue(value, fail);
+                index++;
+            }
+        }
+        return mapping;
+    };
+
+    // Literal (|) and folded (>) block scalars with clip, strip (-) or keep (+) chomping
+    const parseBlockScalar = (header, parentIndent) => {
+        const block = [];
+        let blockIndent = null;
+
+        while (index < lines.length) {
+            const line = lines[index];
+            if (line.trim() === '') {
+                block.push('');
+                index++;
+                continue;
+            }
+
+            const lineIndent = indentOf(line);
+            if (lineIndent <= parentIndent) break;
+            if (blockIndent === null) {
+                blockIndent = lineIndent;
+            }
+            if (lineIndent < blockIndent) break;
+
+            block.push(line.slice(blockIndent));
+            index++;
+        }
+
+        let trailing = 0;
+        while (block.length > 0 && block[block.length - 1] === '') {
+            block.pop();
+            trailing++;
+        }
+
+        let value;
+        if (header[0] === '|') {
+            value = block.join('\n');
+        } else {
+            // Folding joins lines with spaces; blank lines become line breaks
+            value = block.reduce((folded, line, i) => {
+                if (i === 0) return line;
+                if (line === '') return `${folded}\n`;
+                return folded.endsWith('\n') || block[i - 1].startsWith(' ') || line.startsWith(' ')
+                    ? `${folded}${folded.endsWith('\n') ? '' : '\n'}${line}`
+                    : `${folded} ${line}`;
+            }, '');
+        }
+
+        if (block.length === 0) return '';
+        if (header.endsWith('-')) return value;
+        if (header.endsWith('+')) return value + '\n'.repeat(trailing + 1);
+        return `${value}\n`;
+    };
+
+    const result = parseBlock(0);
+    skipEmpty();
+    if (index < lines.length) {
+        fail(`unexpected content "${lines[index].trim()}"`);
+    }
+    return result;
+}
+
+// Position of the colon separating a YAML key from its value, or -1
+function findYamlColon(content) {
+    let quote = null;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            if (i === 0) quote = char;
+        } else if (char === '#' && (i === 0 || content[i - 1] === ' ')) {
+            return -1;
+        } else if (char === ':' && (i === content.length - 1 || content[i + 1] === ' ')) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Remove a trailing "# comment" that is not inside quotes
+function stripYamlComment(value) {
+    let quote = null;
+
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') {
+                i++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(value[i - 1]))) {
+            return value.slice(0, i).trim();
+        }
+    }
+    return value.trim();
+}
+
+// Parse a mapping key (plain or quoted)
+function parseYamlKey(key, fail) {
+    const value = /^["']/.test(key) ? parseYamlValue(key, fail) : key;
+    return String(value);
+}
+
+// Parse an inline YAML value: a flow collection or a scalar
+function parseYamlValue(value, fail) {
+    if (value.startsWith('[') || value.startsWith('{')) {
+        const { result, end } = parseYamlFlow(value, 0, fail);
+        if (value.slice(end).trim() !== '') fail(`unexpected "${value.slice(end).trim()}" after flow collection`);
+        return result;
+    }
+    return parseYamlScalar(value, fail);
+}
+
+// Parse a flow sequence or mapping starting at `start`
+function parseYamlFlow(text, start, fail) {
+    const isSequence = text[start] === '[';
+    const close = isSequence ? ']' : '}';
+    const result = isSequence ? [] : {};
+    let pos = start + 1;
+
+    const skipSpaces = () => {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+    };
+
+    // Read a nested collection, a quoted string or a plain scalar up to a delimiter
+    const readValue = stopAtColon => {
+        skipSpaces();
+        if (text[pos] === '[' || text[pos] === '{') {
+            const nested = parseYamlFlow(text, pos, fail);
+            pos = nested.end;
+            return { value: nested.result };
+        }
+
+        const begin = pos;
+        if (text[pos] === '"' || text[pos] === "'") {
+            const quote = text[pos++];
+            while (pos < text.length && text[pos] !== quote) {
+                pos += text[pos] === '\\' && quote === '"' ? 2 : 1;
+            }
+            pos++;
+        } else {
+            while (pos < text.length && !',]}'.includes(text[pos]) &&
+                !(stopAtColon && text[pos] === ':' && /[\s,\]}]/.test(text[pos + 1] || ' '))) {
+                pos++;
+            }
+        }
+        return { raw: text.slice(begin, pos).trim() };
+    };
+
+    for (;;) {
+        skipSpaces();
+        if (pos >= text.length) fail(`unterminated flow collection, missing "${close}"`);
+        if (text[pos] === close) {
+            pos++;
+            break;
+        }
+
+        if (isSequence) {
+            const item = readValue(false);
+            result.push('value' in item ? item.value : parseYamlScalar(item.raw, fail));
+        } else {
+            const key = readValue(true);
+            skipSpaces();
+            let value = null;
+            if (text[pos] === ':') {
+                pos++;
+                const item = readValue(false);
+                value = 'value' in item ? item.value : parseYamlScalar(item.raw, fail);
+            }
+            result[parseYamlKey(key.raw, fail)] = value;
+        }
+
+        skipSpaces();
+        if (text[pos] === ',') {
+            pos++;
+        } else if (text[pos] !== close) {
+            fail(`expected "," or "${close}" in flow collection`);
+        }
+    }
+
+    return { result, end: pos };
+}
+
+// Parse a YAML scalar: null, booleans, numbers, quoted or plain strings
+function parseYamlScalar(value, fail) {
+    if (value.startsWith('"')) {
+        if (!/^"(?:[^"\\]|\\.)*"$/.test(value)) fail(`invalid double-quoted string ${value}`);
+        try {
+            return JSON.parse(value.replace(/\\'/g, "'").replace(/\t/g, '\\t'));
+        } catch (error) {
+            fail(`invalid escape in ${value}`);
+        }
+    }
+    if (value.startsWith("'")) {
+        if (!/^'(?:[^']|'')*'$/.test(value)) fail(`invalid single-quoted string ${value}`);
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+
+    if (/^(~|null|Null|NULL)?$/.test(value)) return null;
+    if (/^(true|True|TRUE)$/.test(value)) return true;
+    if (/^(false|False|FALSE)$/.test(value)) return false;
+    if (/^[-+]?(0|[1-9][0-9]*)$/.test(value)) return parseInt(value, 10);
+    if (/^0x[0-9a-fA-F]+$/.test(value)) return parseInt(value, 16);
+    if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(value)) return parseFloat(value);
+    if (/^[-+]?\.(inf|Inf|INF)$/.test(value)) return value.startsWith('-') ? -Infinity : Infinity;
+    if (/^\.(nan|NaN|NAN)$/.test(value)) return NaN;
+    return value;
+}
+
+/**
+ * Parse CSV (RFC 4180) into an array of objects keyed by the header row
+ * Values are kept as strings; quoted fields may contain commas, quotes ("")
+ * and line breaks. Missing trailing fields are empty strings
+ * @param {string} text - CSV source
+ * @returns {Array<Object>} One object per data row
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new SyntaxError('CSV: unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter(r => r.length > 1 || r[0] !== '');
+    return records.map(record => {
+        const entry = {};
+        header.forEach((name, column) => {
+            entry[name] = column < record.length ? record[column] : '';
+        });
+        return entry;
+    });
+}
+
+/**
+ * Parse TOML (v1.0) into plain values
+ * Dates and times are kept as their text, since content is plain JSON data;
+ * integers beyond Number.MAX_SAFE_INTEGER lose precision
+ * @param {string} text - TOML source
+ * @returns {Object} The root table
+ */
+function parseToml(text) {
+    const src = text.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+    const root = {};
+    let current = root;
+    let pos = 0;
+
+    // Tables defined by a [header] or dotted keys, which cannot be defined again
+    const defined = new WeakSet();
+    const dotted = new WeakSet();
+    // Arrays created by [[headers]], which later [[headers]] add tables to
+    const tableArrays = new WeakSet();
+    // Inline tables and arrays, which are complete as written
+    const closed = new WeakSet();
+
+    const fail = message => {
+        throw new SyntaxError(`TOML line ${src.slice(0, pos).split('\n').length}: ${message}`);
+    };
+    const match = pattern => {
+        pattern.lastIndex = pos;
+        const found = pattern.exec(src);
+        if (found) pos += found[0].length;
+        return found && found[0];
+    };
+    const skipSpaces = () => match(/[ \t]*/y);
+    // Spaces, line breaks and comments between the items of an array
+    const skipBlank = () => match(/(?:[ \t\n]|#[^\n]*)*/y);
+    const has = (table, key) => Object.prototype.hasOwnProperty.call(table, key);
+    // Keys like __proto__ become own properties like any other
+    const set = (table, key, value) => {
+        Object.defineProperty(table, key, { value, enumerable: true, writable: true, configurable: true });
+        return value;
+    };
+
+    const parseEscape = () => {
+        const char = src[pos++];
+        const simple = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+        if (char in simple) return simple[char];
+        if (char === 'u' || char === 'U') {
+            const hex = match(char === 'u' ? /[0-9a-fA-F]{4}/y : /[0-9a-fA-F]{8}/y);
+            const code = hex && parseInt(hex, 16);
+            if (!hex || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) fail('invalid unicode escape');
+            return String.fromCodePoint(code);
+        }
+        pos--;
+        fail(`invalid escape "\\${char}"`);
+    };
+
+    // Body of a string up to its closing quotes; multi-line strings may end with up to two extra quotes
+    const parseStringBody = (quote, multiline, escapes) => {
+        const closing = multiline ? quote.repeat(3) : quote;
+        let result = '';
+
+        while (!src.startsWith(closing, pos)) {
+            const char = src[pos];
+            if (char === undefined || (char === '\n' && !multiline)) fail('unterminated string');
+            if (escapes && char === '\\') {
+                pos++;
+                // A backslash at the end of a line trims the line break and the spaces after it
+                if (multiline && match(/[ \t]*\n/y)) {
+                    match(/[ \t\n]*/y);
+                } else {
+                    result += parseEscape();
+                }
+            } else if ((char < ' ' && char !== '\t' && char !== '\n') || char === '\u007f') {
+                fail('control characters must be escaped');
+            } else {
+                result += char;
+                pos++;
+            }
+        }
+
+        pos += closing.length;
+        if (multiline) {
+            const extra = match(quote === '"' ? /"{0,2}/y : /'{0,2}/y);
+            result += extra;
+        }
+        return result;
+    };
+
+    const parseString = () => {
+        const quote = src[pos];
+        const multiline = src.startsWith(quote.repeat(3), pos);
+        pos += multiline ? 3 : 1;
+        // A line break right after the opening quotes is not part of the string
+        if (multiline && src[pos] === '\n') pos++;
+        return parseStringBody(quote, multiline, quote === '"');
+    };
+
+    // A key, split at its dots
+    const parseKey = () => {
+        const keys = [];
+        do {
+            skipSpaces();
+            if (src[pos] === '"' || src[pos] === "'") {
+                if (src.startsWith(src[pos].repeat(3), pos)) fail('keys cannot be multi-line strings');
+                keys.push(parseString());
+            } else {
+                const bare = match(/[A-Za-z0-9_-]+/y);
+                if (!bare) fail('expected a key');
+                keys.push(bare);
+            }
+            skipSpaces();
+        } while (src[pos] === '.' && pos++);
+        return keys;
+    };
+
+    const parseArray = () => {
+        const items = [];
+        pos++;
+        for (skipBlank(); src[pos] !== ']'; skipBlank()) {
+            items.push(parseValue());
+            skipBlank();
+            if (src[pos] === ',') {
+                pos++;
+            } else if (src[pos] !== ']') {
+                fail('expected "," or "]" in array');
+            }
+        }
+        pos++;
+        closed.add(items);
+        return items;
+    };
+
+    const closeAll = value => {
+        if (value && typeof value === 'object') {
+            closed.add(value);
+            Object.values(value).forEach(closeAll);
+        }
+    };
+
+    const parseInlineTable = () => {
+        const table = {};
+        pos++;
+        skipSpaces();
+        if (src[pos] === '}') {
+            pos++;
+        } else {
+            for (;;) {
+                parseKeyValue(table);
+                skipSpaces();
+                if (src[pos] === '}') {
+                    pos++;
+                    break;
+                }
+                if (src[pos] !== ',') fail('expected "," or "}" in inline table');
+                pos++;
+            }
+        }
+        closeAll(table);
+        return table;
+    };
+
+    const parseValue = () => {
+        const char = src[pos];
+        if (char === '"' || char === "'") return parseString();
+        if (char === '[') return parseArray();
+        if (char === '{') return parseInlineTable();
+
+        const word = match(/true|false|[+-]?(?:inf|nan)/y);
+        if (word === 'true' || word === 'false') return word === 'true';
+        if (word) return word.endsWith('nan') ? NaN : word.startsWith('-') ? -Infinity : Infinity;
+
+        const dateTime = match(/\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(?:\.\d+)?/y);
+        if (dateTime) return dateTime;
+
+        const prefixed = match(/0x[0-9a-fA-F](?:_?[0-9a-fA-F])*|0o[0-7](?:_?[0-7])*|0b[01](?:_?[01])*/y);
+        if (prefixed) return parseInt(prefixed.slice(2).replace(/_/g, ''), { x: 16, o: 8, b: 2 }[prefixed[1]]);
+
+        const number = match(/[+-]?(?:0|[1-9](?:_?\d)*)(?:\.\d(?:_?\d)*)?(?:[eE][+-]?\d(?:_?\d)*)?/y);
+        if (number) return Number(number.replace(/_/g, ''));
+
+        fail(char === undefined || char === '\n' ? 'expected a value' : `invalid value starting with "${char}"`);
+    };
+
+    // key = value, into a table or the tables its dotted key leads to
+    const parseKeyValue = table => {
+        const keys = parseKey();
+        if (src[pos] !== '=') fail('expected "=" after a key');
+        pos++;
+        skipSpaces();
+
+        let target = table;
+        keys.slice(0, -1).forEach(key => {
+            if (!has(target, key)) {
+                dotted.add(set(target, key, {}));
+                defined.add(target[key]);
+            }
+            const next = target[key];
+            if (!isTomlTable(next) || closed.has(next) || (defined.has(next) && !dotted.has(next))) {
+                fail(`cannot add keys to ${keys.join('.')}`);
+            }
+            target = next;
+        });
+
+        const last = keys[keys.length - 1];
+        if (has(target, last)) fail(`duplicate key ${keys.join('.')}`);
+        set(target, last, parseValue());
+    };
+
+    const parseHeader = () => {
+        const isArray = src.startsWith('[[', pos);
+        pos += isArray ? 2 : 1;
+        const keys = parseKey();
+        if (!src.startsWith(isArray ? ']]' : ']', pos)) fail(`expected "${isArray ? ']]' : ']'}" after the table name`);
+        pos += isArray ? 2 : 1;
+
+        let table = root;
+        keys.slice(0, -1).forEach(key => {
+            let next = has(table, key) ? table[key] : set(table, key, {});
+            if (tableArrays.has(next)) next = next[next.length - 1];
+            if (!isTomlTable(next) || closed.has(next)) fail(`${keys.join('.')}: ${key} is not a table`);
+            table = next;
+        });
+
+        const last = keys[keys.length - 1];
+        const name = keys.join('.');
+        if (isArray) {
+            if (!has(table, last)) tableArrays.add(set(table, last, []));
+            if (!tableArrays.has(table[last])) fail(`${name} is not an array of tables`);
+            current = {};
+            table[last].push(current);
+        } else {
+            if (!has(table, last)) set(table, last, {});
+            current = table[last];
+            if (!isTomlTable(current) || defined.has(current) || closed.has(current)) fail(`table ${name} is defined twice`);
+            defined.add(current);
+        }
+    };
+
+    while (pos < src.length) {
+        skipSpaces();
+        if (src[pos] === '[') {
+            parseHeader();
+        } else if (src[pos] !== '#' && src[pos] !== '\n' && pos < src.length) {
+            parseKeyValue(current);
+        }
+        skipSpaces();
+        match(/#[^\n]*/y);
+        if (pos < src.length && src[pos] !== '\n') fail(`unexpected "${src[pos]}"`);
+        pos++;
+    }
+
+    return root;
+}
+
+// Tables are plain objects; arrays are not
+function isTomlTable(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Prepare an HTML file for insertion into a page
+ * Full documents are reduced to the contents of their body
+ * @param {string} text - HTML source
+ * @returns {string} The HTML fragment
+ */
+function parseHtmlFragment(text) {
+    const body = text.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
+    return (body ? body[1] : text).trim();
+}
+
+/**
+ * Prepare an SVG file for inlining into a page
+ * Drops the XML declaration, doctype and comments before the svg element
+ * @param {string} text - SVG source
+ * @returns {string} The svg element's markup
+ */
+function parseSvg(text) {
+    const start = text.search(/<svg[\s>]/i);
+    if (start === -1) {
+        throw new SyntaxError('SVG: no <svg> element found');
+    }
+    return text.slice(start).trim();
+}
+
+// Split YAML front matter (between --- lines at the very top) from the rest of a text
+function splitFrontMatter(text) {
+    const match = text.match(/^﻿?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+    if (!match) {
+        return { frontMatter: {}, body: text };
+    }
+
+    const frontMatter = parseYaml(match[1]);
+    if (frontMatter !== null && (typeof frontMatter !== 'object' || Array.isArray(frontMatter))) {
+        throw new SyntaxError('Front matter must be a YAML mapping');
+    }
+    return { frontMatter: frontMatter || {}, body: text.slice(match[0].length) };
+}
+
+// Block-level Markdown patterns
+const MD_FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+const MD_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const MD_RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const MD_QUOTE = /^ {0,3}> ?/;
+const MD_LIST_ITEM = /^( {0,3})([-*+]|(\d{1,9})[.)])(?:[ \t]+|$)/;
+const MD_HTML_BLOCK = /^ {0,3}(?:<\/?(?:address|article|aside|blockquote|details|div|dl|fieldset|figcaption|figure|footer|form|h[1-6]|header|hr|iframe|main|nav|ol|p|pre|script|section|style|summary|table|ul)(?:[\s/>]|$)|<!--)/i;
+const MD_TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+// Whether a line starts a block that interrupts a paragraph
+function isMarkdownBlockStart(line) {
+    const item = line.match(MD_LIST_ITEM);
+    return MD_FENCE.test(line) || MD_HEADING.test(line) || MD_RULE.test(line) ||
+        MD_QUOTE.test(line) || MD_HTML_BLOCK.test(line) ||
+        Boolean(item && line.slice(item[0].length).trim() !== '' && (!item[3] || item[3] === '1'));
+}
+
+// Render Markdown lines into a list of HTML blocks
+function renderMarkdownBlocks(lines) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim() === '') {
+            i++;
+            continue;
+        }
+
+        // Fenced code
+        const fence = line.match(MD_FENCE);
+        if (fence) {
+            const code = [];
+            const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+            for (i++; i < lines.length && !closing.test(lines[i]); i++) {
+                code.push(lines[i]);
+            }
+            i++;
+            const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+            blocks.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}${code.length ? '\n' : ''}</code></pre>`);
+            continue;
+        }
+
+        // Indented code
+        if (/^( {4}|\t)/.test(line)) {
+            const code = [];
+            while (i < lines.length && (/^( {4}|\t)/.test(lines[i]) || lines[i].trim() === '')) {
+                code.push(lines[i].replace(/^( {4}|\t)/, ''));
+                i++;
+            }
+            while (code[code.length - 1].trim() === '') code.pop();
+            blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}\n</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(MD_HEADING);
+        if (heading) {
+            const level = heading[1].length;
+            blocks.push(`<h${level}>${renderMarkdownInline(heading[2] || '')}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (MD_RULE.test(line)) {
+            blocks.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (MD_QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && lines[i].trim() !== '' &&
+                (MD_QUOTE.test(lines[i]) || !isMarkdownBlockStart(lines[i]))) {
+                quoted.push(lines[i].replace(MD_QUOTE, ''));
+                i++;
+            }
+            blocks.push(`<blockquote>\n${renderMarkdownBlocks(quoted).join('\n')}\n</blockquote>`);
+            continue;
+        }
+
+        if (MD_LIST_ITEM.test(line)) {
+            const list = renderMarkdownList(lines, i);
+            blocks.push(list.html);
+            i = list.end;
+            continue;
+        }
+
+        // Raw HTML runs until the next blank line
+        if (MD_HTML_BLOCK.test(line)) {
+            const html = [];
+            while (i < lines.length && lines[i].trim() !== '') {
+                html.push(lines[i]);
+                i++;
+            }
+            blocks.push(html.join('\n'));
+            continue;
+        }
+
+        if (line.includes('|') && i + 1 < lines.length && MD_TABLE_DELIMITER.test(lines[i + 1]) &&
+            lines[i + 1].includes('-')) {
+            const table = renderMarkdownTable(lines, i);
+            blocks.push(table.html);
+            i = table.end;
+            continue;
+        }
+
+        // Paragraph, or a setext heading when underlined with = or -
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() !== '' &&
+            (paragraph.length === 0 || !isMarkdownBlockStart(lines[i]))) {
+            if (paragraph.length > 0 && /^ {0,3}(=+|-+)[ \t]*$/.test(lines[i])) break;
+            paragraph.push(lines[i].replace(/^[ \t]+/, ''));
+            i++;
+        }
+
+        const underline = i < lines.length ? lines[i].match(/^ {0,3}(=+|-+)[ \t]*$/) : null;
+        const content = renderMarkdownInline(paragraph.join('\n').replace(/[ \t]+$/, ''));
+        if (underline) {
+            const level = underline[1][0] === '=' ? 1 : 2;
+            blocks.push(`<h${level}>${content}</h${level}>`);
+            i++;
+        } else {
+            blocks.push(`<p>${content}</p>`);
+        }
+    }
+
+    return blocks;
+}
+
+// Render the list starting at line `start`; returns its HTML and the line after it
+function renderMarkdownList(lines, start) {
+    const first = lines[start].match(MD_LIST_ITEM);
+    const ordered = Boolean(first[3]);
+    const marker = ordered ? first[2].slice(-1) : first[2];
+    const sameList = item => Boolean(item) && Boolean(item[3]) === ordered &&
+        (ordered ? item[2].slice(-1) : item[2]) === marker;
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+        const item = lines[i].match(MD_LIST_ITEM);
+        if (!sameList(item)) break;
+
+        const contentIndent = item[0].length;
+        const itemLines = [lines[i].slice(contentIndent)];
+        i++;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (line.trim() === '') {
+                // Blank lines belong to the item when indented content follows
+                let next = i + 1;
+                while (next < lines.length && lines[next].trim() === '') next++;
+                if (next < lines.length && lines[next].match(/^ */)[0].length >= contentIndent) {
+                    for (; i < next; i++) itemLines.push('');
+                    loose = true;
+                    continue;
+                }
+                break;
+            }
+
+            if (line.match(/^ */)[0].length >= contentIndent) {
+                itemLines.push(line.slice(contentIndent));
+            } else if (!MD_LIST_ITEM.test(line) && !isMarkdownBlockStart(line) &&
+                itemLines[itemLines.length - 1].trim() !== '') {
+                // Lazy continuation of the item's paragraph
+                itemLines.push(line.trim());
+            } else {
+                break;
+            }
+            i++;
+        }
+        items.push(itemLines);
+
+        // A blank line between items makes the list loose
+        let next = i;
+        while (next < lines.length && lines[next].trim() === '') next++;
+        const nextItem = next < lines.length && next > i ? lines[next].match(MD_LIST_ITEM) : null;
+        if (sameList(nextItem)) {
+            loose = true;
+            i = next;
+        }
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[3], 10) : 1;
+    const open = ordered && startNumber !== 1 ? `<ol start="${startNumber}">` : `<${tag}>`;
+    const html = items.map(itemLines => {
+        const itemBlocks = renderMarkdownBlocks(itemLines)
+            .map(block => !loose && block.startsWith('<p>') ? block.slice(3, -4) : block);
+        return `<li>${itemBlocks.join('\n')}</li>`;
+    });
+
+    return { html: `${open}\n${html.join('\n')}\n</${tag}>`, end: i };
+}
+
+// Render the table starting at line `start`; returns its HTML and the line after it
+function renderMarkdownTable(lines, start) {
+    const splitRow = line => {
+        const cells = [];
+        let cell = '';
+        const row = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+        for (let i = 0; i < row.length; i++) {
+            if (row[i] === '\\' && row[i + 1] === '|') {
+                cell += '|';
+                i++;
+            } else if (row[i] === '|') {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += row[i];
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    };
+
+    const header = splitRow(lines[start]);
+    const alignments = splitRow(lines[start + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+    });
+
+    const renderRow = (cells, tag) => {
+        const rendered = header.map((name, column) => {
+            const align = alignments[column] ? ` align="${alignments[column]}"` : '';
+            return `<${tag}${align}>${renderMarkdownInline(cells[column] || '')}</${tag}>`;
+        });
+        return `<tr>${rendered.join('')}</tr>`;
+    };
+
+    const rows = [];
+    let i = start + 2;
+    while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|') && !isMarkdownBlockStart(lines[i])) {
+        rows.push(renderRow(splitRow(lines[i]), 'td'));
+        i++;
+    }
+
+    const body = rows.length > 0 ? `\n<tbody>\n${rows.join('\n')}\n</tbody>` : '';
+    return {
+        html: `<table>\n<thead>\n${renderRow(header, 'th')}\n</thead>${body}\n</table>`,
+        end: i
+    };
+}
+
+// Render inline Markdown: code, links, images, emphasis, line breaks and raw HTML
+function renderMarkdownInline(text) {
+    const stash = [];
+    const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+    const linkAttributes = (href, title) =>
+        `href="${escapeHtml(href)}"${title ? ` title="${escapeHtml(title)}"` : ''}`;
+
+    const marked = text
+        .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+            keep(`<code>${escapeHtml(code.replace(/\n/g, ' ').replace(/^ (.*) $/, '$1'))}</code>`))
+        .replace(/\\([!-/:-@[-`{-~])/g, (match, char) => keep(escapeHtml(char)))
+        .replace(/<((?:https?|mailto):[^\s<>]+)>/gi, (match, url) =>
+            keep(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`))
+        .replace(/<!--[\s\S]*?-->|<\/?[a-zA-Z][\w-]*(?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/g,
+            match => keep(match))
+        .replace(/!\[([^\]]*)\]\(\s*<?([^\s()<>]*)>?(?:\s+"([^"]*)")?\s*\)/g, (match, alt, src, title) =>
+            keep(`<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${title ? ` title="${escapeHtml(title)}"` : ''}>`))
+        .replace(/\[([^\]]+)\]\(\s*<?([^\s()<>]*)>?(?:\s+"([^"]*)")?\s*\)/g, (match, label, href, title) =>
+            `${keep(`<a ${linkAttributes(href, title)}>`)}${label}${keep('</a>')}`);
+
+    return escapeHtml(marked)
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+        .replace(/(?: {2,}|\\)\n/g, '<br>\n')
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+}
+
+// Escape text for use in HTML content and attribute values
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Tags kept by sanitizeHtml, with the attributes allowed on each ('*' applies to all)
+const SAFE_TAGS = {
+    '*': ['title', 'class', 'id', 'lang', 'dir'],
+    a: ['href', 'name'],
+    img: ['src', 'alt', 'width', 'height'],
+    ol: ['start', 'reversed'],
+    li: ['value'],
+    td: ['align', 'colspan', 'rowspan'],
+    th: ['align', 'colspan', 'rowspan'],
+    details: ['open'],
+    q: ['cite'],
+    blockquote: ['cite']
+};
+[
+    'abbr', 'article', 'aside', 'b', 'br', 'caption', 'code', 'dd', 'del', 'div', 'dl', 'dt', 'em',
+    'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'ins',
+    'kbd', 'mark', 'p', 'pre', 's', 'section', 'small', 'span', 'strong', 'sub', 'summary', 'sup',
+    'table', 'tbody', 'tfoot', 'thead', 'tr', 'u', 'ul'
+].forEach(tag => {
+    SAFE_TAGS[tag] = SAFE_TAGS[tag] || [];
+});
+
+// Tags removed together with everything inside them
+const DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'textarea', 'svg', 'math', 'title'];
+
+// Attributes holding URLs, and the URL schemes allowed in them
+const URL_ATTRIBUTES = ['href', 'src', 'cite'];
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+/**
+ * Remove unsafe HTML: tags outside an allow-list (scripts, styles and embeds
+ * with their content), event handler and style attributes, and URLs with
+ * schemes other than http(s), mailto and tel
+ * @param {string} html - HTML to clean
+ * @returns {string} The sanitized HTML
+ */
+function sanitizeHtml(html) {
+    const tagPattern = /<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+    let result = '';
+    let pos = 0;
+
+    while (pos < html.length) {
+        const next = html.indexOf('<', pos);
+        if (next === -1) {
+            result += html.slice(pos);
+            break;
+        }
+        result += html.slice(pos, next);
+        pos = next;
+
+        // Comments, doctypes and processing instructions are dropped
+        const special = html.slice(pos).match(/^(?:<!--[\s\S]*?(?:-->|$)|<![^>]*>?|<\?[^>]*>?)/);
+        if (special) {
+            pos += special[0].length;
+            continue;
+        }
+
+        tagPattern.lastIndex = pos;
+        const tag = tagPattern.exec(html);
+        if (!tag) {
+            result += '&lt;';
+            pos++;
+            continue;
+        }
+        pos = tagPattern.lastIndex;
+
+        const [, closing, rawName, attributes] = tag;
+        const name = rawName.toLowerCase();
+
+        if (DROPPED_TAGS.includes(name)) {
+            if (!closing) {
+                const end = html.toLowerCase().indexOf(`</${name}`, pos);
+                pos = end === -1 ? html.length : html.indexOf('>', end) + 1 || html.length;
+            }
+            continue;
+        }
+        if (!SAFE_TAGS[name]) continue;
+
+        result += closing ? `</${name}>` : `<${name}${sanitizeAttributes(name, attributes)}>`;
+    }
+
+    return result;
+}
+
+// Keep the allowed attributes of a tag, dropping unsafe URLs
+function sanitizeAttributes(tag, attributes) {
+    const allowed = [...SAFE_TAGS['*'], ...SAFE_TAGS[tag]];
+    const attributePattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let result = '';
+
+    for (const [, rawName, doubleQuoted, singleQuoted, unquoted] of attributes.matchAll(attributePattern)) {
+        const name = rawName.toLowerCase();
+        const value = doubleQuoted ?? singleQuoted ?? unquoted ?? '';
+        if (!allowed.includes(name)) continue;
+        if (URL_ATTRIBUTES.includes(name) && !isSafeUrl(value)) continue;
+
+        result += ` ${name}="${value.replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}"`;
+    }
+    return result;
+}
+
+// Whether a URL is relative or uses an allowed scheme (entities decoded first)
+function isSafeUrl(url) {
+    const decoded = url
+        .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/&#(\d+);?/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&colon;/gi, ':')
+        .replace(/&(tab|newline);/gi, '')
+        .replace(/[\u0000- \u007F]/g, '');
+
+    const scheme = decoded.match(/^([^/?#]*?):/);
+    if (!scheme) return true;
+    return SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase());
+}
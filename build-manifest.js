@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { validateSiteAssets, formatSiteAssetsError } from './asset-loader.js';
+
+// Color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    red: '\x1b[31m'
+};
+
+// NO_COLOR (https://no-color.org) turns the colors off, e.g. for output read by another program
+function log(message, color = 'reset') {
+    if (process.env.NO_COLOR) {
+        console.log(message);
+        return;
+    }
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Load site-assets.json, exiting when it does not have the shape the loader expects
+function loadSiteAssets() {
+    let siteAssets;
+    try {
+        siteAssets = JSON.parse(fs.readFileSync('site-assets.json', 'utf8'));
+    } catch (error) {
+        log('Error loading site-assets.json', 'red');
+        log(`  ${error.message}`, 'red');
+        process.exit(1);
+    }
+
+    const errors = validateSiteAssets(siteAssets);
+    if (errors.length > 0) {
+        log('Error: site-assets.json is not valid', 'red');
+        errors.forEach(error => log(`  ${formatSiteAssetsError(error)}`, 'red'));
+        process.exit(1);
+    }
+    return siteAssets;
+}
+
+// Save site-assets.json, keeping its trailing newline (if any)
+function saveSiteAssets(siteAssets) {
+    const trailing = fs.readFileSync('site-assets.json', 'utf8').endsWith('\n') ? '\n' : '';
+    fs.writeFileSync('site-assets.json', JSON.stringify(siteAssets, null, 2) + trailing);
+}
+
+// Get the extensions the loader accepts for a directory asset
+function getAllowedExtensions(asset) {
+    if (asset.contains.type === 'combo') {
+        return (asset.contains.parts || []).flatMap(part => part.allowedExtensions || []);
+    }
+    return asset.contains.allowedExtensions || [];
+}
+
+// Get the extensions of the image files in a directory asset
+function getImageExtensions(asset) {
+    if (asset.contains.type === 'combo') {
+        return (asset.contains.parts || [])
+            .filter(part => part.assetType === 'image')
+            .flatMap(part => part.allowedExtensions || []);
+    }
+    return asset.contains.type === 'image' ? asset.contains.allowedExtensions || [] : [];
+}
+
+// Read the pixel dimensions from an image file's header, or null for unknown formats
+function readImageSize(buffer) {
+    // PNG: width and height open the IHDR chunk
+    if (buffer.length >= 24 && buffer.toString('ascii', 1, 4) === 'PNG') {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    // GIF: logical screen size
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+
+    // WebP: lossy (VP8), lossless (VP8L) or extended (VP8X) bitstream
+    if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ') {
+            return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        }
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') {
+            return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        }
+        return null;
+    }
+
+    // JPEG: walk the segments up to a start-of-frame marker
+    if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) return null;
+
+            const marker = buffer[offset + 1];
+            if (marker === 0xff) {
+                offset++;
+            } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+                // Markers without a length
+                offset += 2;
+            } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            } else {
+                offset += 2 + buffer.readUInt16BE(offset + 2);
+            }
+        }
+        return null;
+    }
+
+    // AVIF: the image spatial extents (ispe) property
+    if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp') {
+        const ispe = buffer.indexOf('ispe');
+        if (ispe !== -1 && ispe + 16 <= buffer.length) {
+            return { width: buffer.readUInt32BE(ispe + 8), height: buffer.readUInt32BE(ispe + 12) };
+        }
+    }
+
+    return null;
+}
+
+// Collect the metadata the loader exposes for an image file
+function readImageMetadata(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    const dimensions = readImageSize(buffer);
+    if (!dimensions) {
+        log(`! ${filePath}: could not read image dimensions`, 'yellow');
+    }
+    return { ...(dimensions || {}), size: buffer.length };
+}
+
+// Compare two JSON values
+function sameJson(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// List the files of a directory asset that the loader would pick up
+function collectFiles(asset) {
+    const allowed = getAllowedExtensions(asset);
+
+    return fs.readdirSync(asset.path)
+        .filter(name => name !== 'manifest.json')
+        .filter(name => fs.statSync(path.join(asset.path, name)).isFile())
+        .filter(name => allowed.includes(name.substring(name.lastIndexOf('.'))))
+        .sort();
+}
+
+// Read an existing manifest.json, or null if there is none
+function readManifest(manifestPath) {
+    if (!fs.existsSync(manifestPath)) return null;
+
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Compare two file lists
+function sameFiles(a, b) {
+    return Array.isArray(a) && Array.isArray(b) &&
+        a.length === b.length &&
+        a.every((file, index) => file === b[index]);
+}
+
+// Main function
+function main() {
+    const args = process.argv.slice(2);
+    const checkOnly = args.includes('--check');
+
+    if (args.includes('--help')) {
+        log('\nUsage: npx build-manifest [--check]', 'yellow');
+        log('Writes manifest.json for directory assets, including the dimensions and size of images', 'cyan');
+        log('  --check  Do not write anything, exit non-zero if a manifest.json or image metadata is missing or stale\n', 'cyan');
+        return;
+    }
+
+    log(`\n=== ${checkOnly ? 'Check' : 'Build'} Directory Manifests ===\n`, 'bright');
+
+    const siteAssets = loadSiteAssets();
+    const directories = (siteAssets.assets || []).filter(asset => asset.type === 'directory');
+    const images = (siteAssets.assets || []).filter(asset => asset.type === 'image');
+    let staleCount = 0;
+    let missingCount = 0;
+    let siteAssetsChanged = false;
+
+    if (directories.length === 0 && images.length === 0) {
+        log('No directory or image assets found in site-assets.json', 'yellow');
+        return;
+    }
+
+    directories.forEach(asset => {
+        if (!asset.contains) {
+            log(`! ${asset.path}: no "contains" definition, skipping (upgrade it with: npx migrate)`, 'yellow');
+            return;
+        }
+
+        if (!fs.existsSync(asset.path) || !fs.statSync(asset.path).isDirectory()) {
+            log(`✗ ${asset.path}: directory does not exist`, 'red');
+            missingCount++;
+            return;
+        }
+
+        const manifestPath = path.join(asset.path, 'manifest.json');
+        const existing = readManifest(manifestPath);
+        const files = collectFiles(asset);
+
+        const imageExtensions = getImageExtensions(asset);
+        const imageMetadata = {};
+        files
+            .filter(name => imageExtensions.includes(name.substring(name.lastIndexOf('.'))))
+            .forEach(name => {
+                imageMetadata[name] = readImageMetadata(path.join(asset.path, name));
+            });
+        const hasImages = Object.keys(imageMetadata).length > 0;
+
+        if (existing && sameFiles(existing.files, files) && sameJson(existing.images, hasImages ? imageMetadata : undefined)) {
+            log(`✓ ${manifestPath} is up to date (${files.length} files)`, 'green');
+            return;
+        }
+
+        if (checkOnly) {
+            log(`✗ ${manifestPath} is ${existing ? 'stale' : 'missing'}`, 'red');
+            staleCount++;
+            return;
+        }
+
+        // Keep any extra fields already present in the manifest
+        const manifest = { ...(existing || {}), files };
+        if (hasImages) {
+            manifest.images = imageMetadata;
+        } else {
+            delete manifest.images;
+        }
+        fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+        log(`✓ Wrote ${manifestPath} (${files.length} files)`, 'green');
+    });
+
+    // Single image assets keep their metadata in site-assets.json
+    images.forEach(asset => {
+        if (!fs.existsSync(asset.path)) {
+            log(`✗ ${asset.path}: image does not exist`, 'red');
+            missingCount++;
+            return;
+        }
+
+        const metadata = readImageMetadata(asset.path);
+        if (sameJson(asset.image, metadata)) {
+            log(`✓ ${asset.path}: image metadata is up to date`, 'green');
+            return;
+        }
+
+        if (checkOnly) {
+            log(`✗ ${asset.path}: image metadata is ${asset.image ? 'stale' : 'missing'}`, 'red');
+            staleCount++;
+            return;
+        }
+
+        asset.image = metadata;
+        siteAssetsChanged = true;
+        log(`✓ ${asset.path}: updated image metadata in site-assets.json`, 'green');
+    });
+
+    if (siteAssetsChanged) {
+        saveSiteAssets(siteAssets);
+    }
+
+    if (staleCount > 0) {
+        log(`\n✗ ${staleCount} manifest(s) or image metadata need updating. Run: npx build-manifest`, 'red');
+    }
+    if (missingCount > 0) {
+        log(`\n✗ ${missingCount} directory or image asset(s) do not exist`, 'red');
+    }
+    if (staleCount > 0 || missingCount > 0) {
+        log('');
+        process.exit(1);
+    }
+
+    log('');
+}
+
+// Run
+main();
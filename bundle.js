@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { validateSiteAssets, formatSiteAssetsError } from './asset-loader.js';
+import { createNodeLoader } from './node-loader.js';
+
+// Color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    red: '\x1b[31m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Format of the bundle, checked by the loader
+const BUNDLE_FORMAT = 1;
+
+const DEFAULT_OUTPUT = 'content-bundle.json';
+
+// Parse command line options
+function parseArgs(args) {
+    const options = { out: DEFAULT_OUTPUT, gzip: false, brotli: false, check: false, strict: false };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--out' || args[i] === '-o') {
+            options.out = args[++i];
+        } else if (args[i] === '--gzip') {
+            options.gzip = true;
+        } else if (args[i] === '--brotli') {
+            options.brotli = true;
+        } else if (args[i] === '--check') {
+            options.check = true;
+        } else if (args[i] === '--strict') {
+            options.strict = true;
+        } else if (args[i] === '--help') {
+            options.help = true;
+        }
+    }
+
+    return options;
+}
+
+// Load site-assets.json, exiting when it does not have the shape the loader expects
+function loadSiteAssets() {
+    let siteAssets;
+    try {
+        siteAssets = JSON.parse(fs.readFileSync('site-assets.json', 'utf8'));
+    } catch (error) {
+        log('Error loading site-assets.json', 'red');
+        log(`  ${error.message}`, 'red');
+        process.exit(1);
+    }
+
+    const errors = validateSiteAssets(siteAssets);
+    if (errors.length > 0) {
+        log('Error: site-assets.json is not valid', 'red');
+        errors.forEach(error => log(`  ${formatSiteAssetsError(error)}`, 'red'));
+        process.exit(1);
+    }
+    return siteAssets;
+}
+
+// Save site-assets.json, keeping its trailing newline (if any)
+function saveSiteAssets(siteAssets) {
+    const trailing = fs.readFileSync('site-assets.json', 'utf8').endsWith('\n') ? '\n' : '';
+    fs.writeFileSync('site-assets.json', JSON.stringify(siteAssets, null, 2) + trailing);
+}
+
+// Short content hash, enough to tell bundles apart
+function hashContent(text) {
+    return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+// Join the arguments of a loader message, showing errors by their message only
+function formatMessage(args) {
+    return args.map(arg => (arg instanceof Error ? arg.message : arg)).join(' ');
+}
+
+// Format a byte count for display
+function formatSize(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Load the eager assets the way the browser loader does and build the bundle
+ * Lazy and visible assets stay out, they are loaded on their own when needed
+ * @param {Object} siteAssets - Parsed site-assets.json
+ * @param {boolean} strict - Fail when a required asset does not load
+ * @returns {Promise<Object>} { bundle, report }
+ */
+async function buildBundle(siteAssets, strict) {
+    const loader = createNodeLoader({
+        strict,
+        logger: {
+            warn: (...args) => log(formatMessage(args), 'yellow'),
+            error: (...args) => log(formatMessage(args), 'red')
+        }
+    });
+    const { contentData, validationErrors, report } = await loader.load();
+
+    const contents = {};
+    const hashes = {};
+    (siteAssets.assets || [])
+        .filter(asset => (!asset.loading || asset.loading === 'eager') && asset.path in contentData)
+        .forEach(asset => {
+            contents[asset.path] = contentData[asset.path];
+            hashes[asset.path] = hashContent(JSON.stringify(contentData[asset.path]));
+        });
+
+    return {
+        bundle: {
+            format: BUNDLE_FORMAT,
+            hash: hashContent(JSON.stringify(hashes)),
+            hashes,
+            contentData: contents,
+            validationErrors
+        },
+        report
+    };
+}
+
+// Read the hash of an existing bundle file, or null if there is none
+function readBundleHash(bundlePath) {
+    try {
+        return JSON.parse(fs.readFileSync(bundlePath, 'utf8')).hash || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Whether the bundle entry of site-assets.json names this bundle
+// A plain string names the file without a hash, and the loader then uses it without checking one
+function matchesBundleEntry(entry, bundlePath, hash) {
+    if (!entry) return false;
+    if (typeof entry === 'string') return entry.replace(/^\.\//, '') === bundlePath;
+    return entry.path === bundlePath && entry.hash === hash;
+}
+
+// Write a compressed copy of the bundle, or remove an outdated one
+function writeCompressed(bundlePath, data, enabled, extension, compress) {
+    const compressedPath = `${bundlePath}${extension}`;
+
+    if (!enabled) {
+        // A stale copy would be served instead of the new bundle
+        if (fs.existsSync(compressedPath)) {
+            fs.unlinkSync(compressedPath);
+            log(`✓ Removed outdated ${compressedPath}`, 'green');
+        }
+        return;
+    }
+
+    const compressed = compress(data);
+    fs.writeFileSync(compressedPath, compressed);
+    log(`✓ Wrote ${compressedPath} (${formatSize(compressed.length)})`, 'green');
+}
+
+// Main function
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        log('\nUsage: npx bundle [--out content-bundle.json] [--gzip] [--brotli] [--check] [--strict]', 'yellow');
+        log('Combines the content of all eager assets into one file the loader fetches in a single request', 'cyan');
+        log('  --out     Bundle file to write (default: content-bundle.json)', 'cyan');
+        log('  --gzip    Also write a gzipped copy (.gz) for servers that serve precompressed files', 'cyan');
+        log('  --brotli  Also write a brotli copy (.br)', 'cyan');
+        log('  --check   Do not write anything, exit non-zero if the bundle is missing or out of date', 'cyan');
+        log('  --strict  Fail when an asset marked "required" does not load\n', 'cyan');
+        return;
+    }
+
+    log(`\n=== ${options.check ? 'Check' : 'Build'} Content Bundle ===\n`, 'bright');
+
+    const siteAssets = loadSiteAssets();
+    const bundlePath = options.out.replace(/\\/g, '/').replace(/^\.\//, '');
+    const { bundle, report } = await buildBundle(siteAssets, options.strict);
+
+    // Lazy assets stay pending and out of the bundle on purpose
+    const missing = report.filter(entry => entry.status !== 'pending' && !(entry.path in bundle.contentData));
+    missing.forEach(entry => {
+        log(`! ${entry.path}: ${entry.status}, loaded on its own instead`, 'yellow');
+    });
+    if (bundle.validationErrors.length > 0) {
+        log(`! ${bundle.validationErrors.length} file(s) failed validation, run: npx validate`, 'yellow');
+    }
+
+    const entryMatches = matchesBundleEntry(siteAssets.bundle, bundlePath, bundle.hash);
+    const upToDate = readBundleHash(bundlePath) === bundle.hash && entryMatches;
+
+    if (options.check) {
+        if (!upToDate) {
+            log(`✗ ${bundlePath} is missing or out of date. Run: npx bundle`, 'red');
+            process.exit(1);
+        }
+        log(`✓ ${bundlePath} is up to date (${Object.keys(bundle.contentData).length} assets)`, 'green');
+        return;
+    }
+
+    const data = JSON.stringify(bundle);
+    fs.writeFileSync(bundlePath, data);
+    log(`✓ Wrote ${bundlePath} (${Object.keys(bundle.contentData).length} assets, ${formatSize(Buffer.byteLength(data))})`, 'green');
+
+    writeCompressed(bundlePath, data, options.gzip, '.gz',
+        input => zlib.gzipSync(input, { level: zlib.constants.Z_BEST_COMPRESSION }));
+    writeCompressed(bundlePath, data, options.brotli, '.br',
+        input => zlib.brotliCompressSync(input, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY } }));
+
+    if (!entryMatches) {
+        siteAssets.bundle = { path: bundlePath, hash: bundle.hash };
+        saveSiteAssets(siteAssets);
+        log('✓ Updated the bundle entry in site-assets.json', 'green');
+    }
+
+    log('');
+}
+
+// Run
+main().catch(error => {
+    log(`\nError: ${error.message}`, 'red');
+    process.exit(1);
+});
@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import { validateSiteAssets, formatSiteAssetsError } from './asset-loader.js';
+
+// Color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    red: '\x1b[31m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Endpoint the loader's liveReload option connects to
+const EVENTS_PATH = '/__dynaloader/events';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.htm': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.yaml': 'text/yaml; charset=utf-8',
+    '.yml': 'text/yaml; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.toml': 'application/toml; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon'
+};
+
+// Parse command line options
+function parseArgs(args) {
+    const options = { port: 3000, host: '127.0.0.1' };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port' || args[i] === '-p') {
+            options.port = parseInt(args[++i], 10);
+        } else if (args[i] === '--host') {
+            options.host = args[++i];
+        } else if (args[i] === '--help') {
+            options.help = true;
+        }
+    }
+
+    return options;
+}
+
+// Load site-assets.json, or null if it cannot be read
+// Problems the loader would refuse it for are logged, so they show up while editing
+function loadSiteAssets() {
+    let siteAssets;
+    try {
+        siteAssets = JSON.parse(fs.readFileSync('site-assets.json', 'utf8'));
+    } catch (error) {
+        log(`Could not read site-assets.json: ${error.message}`, 'yellow');
+        return null;
+    }
+
+    const errors = validateSiteAssets(siteAssets);
+    if (errors.length > 0) {
+        log('site-assets.json is not valid, the loader will refuse it:', 'yellow');
+        errors.forEach(error => log(`  ${formatSiteAssetsError(error)}`, 'yellow'));
+    }
+    return siteAssets;
+}
+
+// Normalize a path to the form used in site-assets.json (forward slashes, no leading ./ or /)
+function normalizePath(filePath) {
+    return filePath.replace(/\\/g, '/').replace(/^\.?\//, '');
+}
+
+// Collect the files and directories referenced by site-assets.json
+function collectWatchTargets(siteAssets) {
+    const files = new Set(['site-assets.json']);
+    const directories = new Set();
+
+    (siteAssets && siteAssets.assets || []).forEach(asset => {
+        if (asset.type === 'directory') {
+            directories.add(normalizePath(asset.path));
+        } else {
+            files.add(normalizePath(asset.path));
+        }
+        if (asset.handler) {
+            files.add(normalizePath(asset.handler));
+        }
+    });
+
+    return { files, directories };
+}
+
+// Watch everything site-assets.json references and report changed paths
+function createWatcher(onChange) {
+    let watchers = [];
+    const timers = new Map();
+
+    // Editors often emit several events per save, so changes are debounced
+    const emit = changedPath => {
+        clearTimeout(timers.get(changedPath));
+        timers.set(changedPath, setTimeout(() => {
+            timers.delete(changedPath);
+            onChange(changedPath);
+        }, 100));
+    };
+
+    const start = () => {
+        watchers.forEach(watcher => watcher.close());
+        watchers = [];
+
+        const { files, directories } = collectWatchTargets(loadSiteAssets());
+
+        // Watch parent directories rather than files, so that editors which
+        // save by replacing the file don't break the watch
+        const watchDirs = new Set([...directories]);
+        files.forEach(file => watchDirs.add(path.posix.dirname(file)));
+
+        watchDirs.forEach(dir => {
+            if (!fs.existsSync(dir)) return;
+
+            try {
+                watchers.push(fs.watch(dir, (eventType, filename) => {
+                    if (!filename) return;
+
+                    const changedPath = normalizePath(path.posix.join(dir, filename.toString()));
+                    const inDirectory = directories.has(dir);
+                    if (!inDirectory && !files.has(changedPath)) return;
+
+                    if (changedPath === 'site-assets.json') {
+                        // The set of referenced files may have changed
+                        start();
+                    }
+                    emit(changedPath);
+                }));
+            } catch (error) {
+                log(`Could not watch ${dir}: ${error.message}`, 'yellow');
+            }
+        });
+
+        log(`Watching ${files.size} files and ${directories.size} directories`, 'cyan');
+    };
+
+    start();
+}
+
+// Escape text for use in HTML content and attribute values
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Render a simple directory listing the loader can parse
+function renderListing(urlPath, dirPath) {
+    const base = urlPath.split('/').map(encodeURIComponent).join('/').replace(/\/?$/, '/');
+    const links = fs.readdirSync(dirPath)
+        .sort()
+        .map(name => {
+            const isDir = fs.statSync(path.join(dirPath, name)).isDirectory();
+            const href = encodeURIComponent(name) + (isDir ? '/' : '');
+            return `<li><a href="${base}${href}">${escapeHtml(name)}${isDir ? '/' : ''}</a></li>`;
+        })
+        .join('\n');
+
+    return `<!DOCTYPE html>\n<html><body><ul>\n${links}\n</ul></body></html>\n`;
+}
+
+// Serve a static file, index.html or directory listing from the project root
+function serveStatic(root, request, response) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch {
+        response.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Bad request');
+        return;
+    }
+    const filePath = path.join(root, urlPath);
+
+    // Never serve anything outside the project root
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+        response.writeHead(403);
+        response.end('Forbidden');
+        return;
+    }
+
+    if (!fs.existsSync(filePath)) {
+        response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Not found');
+        return;
+    }
+
+    const headers = { 'Cache-Control': 'no-cache' };
+
+    if (fs.statSync(filePath).isDirectory()) {
+        const indexPath = path.join(filePath, 'index.html');
+        if (fs.existsSync(indexPath)) {
+            response.writeHead(200, { ...headers, 'Content-Type': MIME_TYPES['.html'] });
+            fs.createReadStream(indexPath).pipe(response);
+        } else {
+            response.writeHead(200, { ...headers, 'Content-Type': MIME_TYPES['.html'] });
+            response.end(renderListing(urlPath, filePath));
+        }
+        return;
+    }
+
+    const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    response.writeHead(200, { ...headers, 'Content-Type': contentType });
+    fs.createReadStream(filePath).pipe(response);
+}
+
+// Main function
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        log('\nUsage: npx dev-server [--port 3000] [--host 127.0.0.1]', 'yellow');
+        log('Serves the current directory and pushes content changes to the loader (liveReload option)', 'cyan');
+        log('Only this machine can connect unless --host names another interface (0.0.0.0 for all)\n', 'cyan');
+        return;
+    }
+
+    if (!Number.isInteger(options.port) || options.port <= 0) {
+        log('Error: --port must be a positive integer', 'red');
+        process.exit(1);
+    }
+
+    if (!options.host) {
+        log('Error: --host needs an address', 'red');
+        process.exit(1);
+    }
+
+    const root = process.cwd();
+    const clients = new Set();
+
+    const server = http.createServer((request, response) => {
+        if (request.url === EVENTS_PATH) {
+            response.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            response.write(': connected\n\n');
+            clients.add(response);
+            request.on('close', () => clients.delete(response));
+            return;
+        }
+
+        serveStatic(root, request, response);
+    });
+
+    // Keep idle connections from being closed by proxies
+    setInterval(() => {
+        clients.forEach(client => client.write(': ping\n\n'));
+    }, 30000).unref();
+
+    createWatcher(changedPath => {
+        log(`Changed: ${changedPath}`, 'green');
+        const message = `event: change\ndata: ${JSON.stringify({ path: changedPath })}\n\n`;
+        clients.forEach(client => client.write(message));
+    });
+
+    server.listen(options.port, options.host, () => {
+        const host = options.host === '127.0.0.1' ? 'localhost' : options.host;
+        log('\n=== dynaloader dev server ===\n', 'bright');
+        log(`Serving ${root} at http://${host}:${options.port}`, 'green');
+        log(`Enable live reload with: loadSiteAssets('site-assets.json', null, { liveReload: true })\n`, 'cyan');
+    });
+}
+
+// Run
+main();
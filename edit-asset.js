@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import inquirer from 'inquirer';
+import { validateSiteAssets, formatSiteAssetsError } from './asset-loader.js';
+
+// Color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    red: '\x1b[31m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Exit code for invalid arguments or values
+const EXIT_INVALID = 2;
+
+const LOADING_MODES = ['eager', 'lazy', 'visible'];
+
+// Flags taking a value, and the field each one sets
+const VALUE_FLAGS = {
+    '--label': 'label',
+    '--description': 'description',
+    '--max-size': 'maxSize',
+    '--extensions': 'allowedExtensions',
+    '--schema': 'schema',
+    '--loading': 'loading',
+    '--selector': 'selector',
+    '--handler': 'handler'
+};
+
+// Flags without a value, and the value each one sets
+const SWITCH_FLAGS = {
+    '--required': ['required', true],
+    '--no-required': ['required', false],
+    '--no-schema': ['schema', null],
+    '--no-handler': ['handler', null]
+};
+
+// Checks for the new values, returning true or an error message
+const validators = {
+    label: value => value.trim() !== '' || 'must not be empty',
+    maxSize: value => (Number.isInteger(value) && value > 0) || 'must be a positive whole number of bytes',
+    allowedExtensions: value => (value.length > 0 && value.every(ext => /^\.[\w.-]+$/.test(ext))) ||
+        'must be a comma-separated list of extensions starting with "." (e.g. ".json,.md")',
+    schema: value => value === null || (typeof value === 'object' && !Array.isArray(value)) || 'must be a JSON object',
+    loading: value => LOADING_MODES.includes(value) || `must be one of: ${LOADING_MODES.join(', ')}`,
+    handler: value => value === null || /\.m?js$/.test(value) || 'must be a .js file'
+};
+
+// Load site-assets.json
+function loadSiteAssets() {
+    let siteAssets;
+    try {
+        siteAssets = JSON.parse(fs.readFileSync('site-assets.json', 'utf8'));
+    } catch (error) {
+        log('Error loading site-assets.json', 'red');
+        log(`  ${error.message}`, 'red');
+        process.exit(1);
+    }
+
+    warnInvalidSiteAssets(siteAssets);
+    return siteAssets;
+}
+
+// Warn about problems in site-assets.json without stopping the command
+function warnInvalidSiteAssets(siteAssets) {
+    const errors = validateSiteAssets(siteAssets);
+    if (errors.length === 0) return;
+
+    log('! site-assets.json has problems, the loader will refuse it until they are fixed:', 'yellow');
+    errors.forEach(error => log(`  ${formatSiteAssetsError(error)}`, 'yellow'));
+    log('');
+}
+
+// Save site-assets.json, keeping its trailing newline (if any)
+function saveSiteAssets(siteAssets) {
+    const trailing = fs.readFileSync('site-assets.json', 'utf8').endsWith('\n') ? '\n' : '';
+    fs.writeFileSync('site-assets.json', JSON.stringify(siteAssets, null, 2) + trailing);
+    log('✓ Updated site-assets.json', 'green');
+}
+
+// Normalize a path to the form used in site-assets.json (forward slashes, no leading ./ or trailing /)
+function normalizePath(filePath) {
+    return filePath.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+// Print errors about the arguments and exit
+function exitInvalid(errors) {
+    errors.forEach(error => log(`Error: ${error}`, 'red'));
+    process.exit(EXIT_INVALID);
+}
+
+// Parse command line options
+function parseArgs(args) {
+    const options = { assetPath: null, changes: {} };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--help') {
+            options.help = true;
+        } else if (VALUE_FLAGS[arg]) {
+            if (args[i + 1] === undefined) {
+                exitInvalid([`${arg} needs a value`]);
+            }
+            options.changes[VALUE_FLAGS[arg]] = args[++i];
+        } else if (SWITCH_FLAGS[arg]) {
+            const [field, value] = SWITCH_FLAGS[arg];
+            options.changes[field] = value;
+        } else if (!arg.startsWith('-') && options.assetPath === null) {
+            options.assetPath = arg;
+        } else {
+            exitInvalid([`Unknown argument "${arg}"`]);
+        }
+    }
+
+    return options;
+}
+
+// Convert values given as text to the form stored in site-assets.json
+function parseValue(field, value) {
+    if (typeof value !== 'string') return value;
+
+    if (field === 'maxSize') {
+        return value.trim() === '' ? NaN : Number(value);
+    }
+    if (field === 'allowedExtensions') {
+        return value.split(',').map(ext => ext.trim()).filter(Boolean);
+    }
+    if (field === 'schema') {
+        // A file path or inline JSON
+        try {
+            return JSON.parse(fs.existsSync(value) ? fs.readFileSync(value, 'utf8') : value);
+        } catch {
+            return undefined;
+        }
+    }
+    if (field === 'handler') {
+        return normalizePath(value);
+    }
+    return value;
+}
+
+// Where the file rules of an asset live: the asset itself, or `contains` for simple directories
+function getRulesTarget(asset) {
+    if (asset.type !== 'directory') return asset;
+    if (asset.contains && asset.contains.type !== 'combo') return asset.contains;
+    return null;
+}
+
+// Ask for the new values, with the current ones as defaults
+async function promptChanges(asset) {
+    const target = getRulesTarget(asset);
+    const current = {
+        label: asset.label || '',
+        description: asset.description || '',
+        maxSize: target && target.maxSize,
+        allowedExtensions: target && (target.allowedExtensions || []),
+        loading: asset.loading || 'eager',
+        selector: asset.selector || '',
+        required: asset.required === true
+    };
+
+    const answers = await inquirer.prompt([
+        { type: 'input', name: 'label', message: 'Label:', default: current.label, validate: validators.label },
+        { type: 'input', name: 'description', message: 'Description:', default: current.description },
+        {
+            type: 'number',
+            name: 'maxSize',
+            message: 'Max file size (bytes):',
+            default: current.maxSize,
+            when: () => target !== null,
+            validate: validators.maxSize
+        },
+        {
+            type: 'input',
+            name: 'allowedExtensions',
+            message: 'Allowed file extensions (comma-separated):',
+            default: target && current.allowedExtensions.join(','),
+            when: () => target !== null,
+            filter: input => parseValue('allowedExtensions', input),
+            validate: validators.allowedExtensions
+        },
+        { type: 'list', name: 'loading', message: 'Loading:', choices: LOADING_MODES, default: current.loading },
+        {
+            type: 'input',
+            name: 'selector',
+            message: 'Selector of the element to watch:',
+            default: current.selector,
+            when: answers => answers.loading === 'visible'
+        },
+        { type: 'confirm', name: 'required', message: 'Required?', default: current.required }
+    ]);
+
+    // Only keep what changed
+    return Object.fromEntries(Object.entries(answers).filter(([field, value]) =>
+        JSON.stringify(value) !== JSON.stringify(current[field])));
+}
+
+// Point the asset at a new handler, moving the current handler file when it is not shared
+function changeHandler(asset, assets, handlerPath) {
+    const shared = asset.handler && assets.some(other =>
+        other !== asset && other.handler && normalizePath(other.handler) === normalizePath(asset.handler));
+
+    if (handlerPath === null) {
+        if (asset.handler && fs.existsSync(asset.handler)) {
+            log(`  ${asset.handler} is no longer used by this asset, delete it if nothing else needs it`, 'cyan');
+        }
+        delete asset.handler;
+        return;
+    }
+
+    if (asset.handler && !shared && fs.existsSync(asset.handler) && !fs.existsSync(handlerPath)) {
+        fs.mkdirSync(path.dirname(handlerPath), { recursive: true });
+        fs.renameSync(asset.handler, handlerPath);
+        log(`✓ Moved ${asset.handler} to ${handlerPath}`, 'green');
+    } else if (!fs.existsSync(handlerPath)) {
+        log(`! ${handlerPath} does not exist yet`, 'yellow');
+    }
+    asset.handler = handlerPath;
+}
+
+// Show a field value in the list of changes
+function formatValue(value) {
+    return value === undefined || value === null ? '(not set)' : JSON.stringify(value);
+}
+
+// Apply the changes to the asset, returning a description of each one
+function applyChanges(asset, assets, changes) {
+    const target = getRulesTarget(asset);
+    const applied = [];
+
+    Object.entries(changes).forEach(([field, value]) => {
+        const owner = ['maxSize', 'allowedExtensions', 'schema'].includes(field) ? target : asset;
+        const previous = owner[field];
+        if (JSON.stringify(previous) === JSON.stringify(value)) return;
+
+        if (field === 'handler') {
+            changeHandler(asset, assets, value);
+        } else if (value === null || (field === 'required' && !value) || (field === 'loading' && value === 'eager')) {
+            // Defaults are left out of site-assets.json
+            delete owner[field];
+        } else {
+            owner[field] = value;
+        }
+        applied.push(`${field}: ${formatValue(previous)} → ${formatValue(value)}`);
+    });
+
+    return applied;
+}
+
+// Main function
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help || !options.assetPath) {
+        log('\nUsage: npx edit-asset <path> [options]', 'yellow');
+        log('Changes an asset in site-assets.json, prompting for the common fields when no option is given', 'cyan');
+        log('  --label <text>           Human-readable name', 'cyan');
+        log('  --description <text>     Description', 'cyan');
+        log('  --max-size <bytes>       Maximum file size', 'cyan');
+        log('  --extensions <list>      Allowed extensions, e.g. ".json" or ".md,.txt"', 'cyan');
+        log('  --schema <file|json>     Schema (--no-schema to remove it)', 'cyan');
+        log(`  --loading <mode>         ${LOADING_MODES.join(', ')}`, 'cyan');
+        log('  --selector <selector>    Element to watch for loading "visible"', 'cyan');
+        log('  --required, --no-required', 'cyan');
+        log('  --handler <file>         Handler path, moving the current handler file there', 'cyan');
+        log('  --no-handler             Remove the handler (the file is kept)', 'cyan');
+        log('Exit codes: 0 on success, 1 on failure, 2 on invalid options or values\n', 'cyan');
+        if (!options.help) process.exit(EXIT_INVALID);
+        return;
+    }
+
+    const siteAssets = loadSiteAssets();
+    const assets = siteAssets.assets || [];
+    const assetPath = normalizePath(options.assetPath);
+    const asset = assets.find(a => normalizePath(a.path) === assetPath);
+
+    if (!asset) {
+        exitInvalid([`No asset with path "${assetPath}" in site-assets.json`]);
+    }
+
+    let changes = Object.fromEntries(Object.entries(options.changes).map(([field, value]) => [field, parseValue(field, value)]));
+
+    if (Object.keys(changes).length === 0) {
+        if (!process.stdin.isTTY) {
+            exitInvalid(['Nothing to change, pass the new values as options']);
+        }
+        log(`\n=== Edit ${asset.path} ===\n`, 'bright');
+        changes = await promptChanges(asset);
+    } else {
+        log(`\n=== Edit ${asset.path} ===\n`, 'bright');
+    }
+
+    const errors = Object.entries(changes)
+        .map(([field, value]) => {
+            if (value === undefined) return `${field}: could not be read as JSON`;
+            const result = validators[field] ? validators[field](value) : true;
+            return result === true ? null : `${field}: ${result}`;
+        })
+        .filter(Boolean);
+    if (['maxSize', 'allowedExtensions', 'schema'].some(field => field in changes) && !getRulesTarget(asset)) {
+        errors.push('maxSize, allowedExtensions and schema of a combo directory are set per part, edit them in site-assets.json');
+    }
+    if (changes.loading === 'visible' && !changes.selector && !asset.selector) {
+        errors.push('loading "visible" needs a selector (--selector)');
+    }
+    if (errors.length > 0) {
+        exitInvalid(errors);
+    }
+
+    const applied = applyChanges(asset, assets, changes);
+    if (applied.length === 0) {
+        log('Nothing changed\n', 'yellow');
+        return;
+    }
+
+    saveSiteAssets(siteAssets);
+    applied.forEach(change => log(`  ${change}`));
+    log('');
+}
+
+// Run
+main().catch(error => {
+    log(`\nError: ${error.message}`, 'red');
+    process.exit(1);
+});
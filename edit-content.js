@@ -0,0 +1,528 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { validateSchema, validateSiteAssets, detectAssetType, getAssetTypes } from './asset-loader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    red: '\x1b[31m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const DEFAULT_PORT = 3001;
+
+// Requests larger than this are refused before an asset's own maxSize is checked
+const MAX_BODY_SIZE = 50 * 1024 * 1024;
+
+// File names accepted for uploads and new directory entries
+const FILE_NAME_PATTERN = /^[\w][\w .-]*$/;
+
+const MIME_TYPES = {
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.yaml': 'text/yaml; charset=utf-8',
+    '.yml': 'text/yaml; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.toml': 'application/toml; charset=utf-8',
+    '.html': 'text/plain; charset=utf-8',
+    '.htm': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif'
+};
+
+// Error answered with an HTTP status and a message for the editor
+class RequestError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Parse command line options
+function parseArgs(args) {
+    const options = { port: DEFAULT_PORT };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port' || args[i] === '-p') {
+            options.port = parseInt(args[++i], 10);
+        } else if (args[i] === '--help') {
+            options.help = true;
+        }
+    }
+
+    return options;
+}
+
+// Load site-assets.json with the problems the loader would refuse it for
+function loadSiteAssets() {
+    let siteAssets;
+    try {
+        siteAssets = JSON.parse(fs.readFileSync('site-assets.json', 'utf8'));
+    } catch (error) {
+        throw new RequestError(500, `Could not read site-assets.json: ${error.message}`);
+    }
+    return { siteAssets, problems: validateSiteAssets(siteAssets) };
+}
+
+// Normalize a path to the form used in site-assets.json (forward slashes, no leading ./ or /)
+function normalizePath(filePath) {
+    return filePath.replace(/\\/g, '/').replace(/^\.?\//, '').replace(/\/+$/, '');
+}
+
+// Extension of a file name, lowercased and with its dot
+function getExtension(filePath) {
+    const dot = filePath.lastIndexOf('.');
+    return dot > filePath.lastIndexOf('/') ? filePath.substring(dot).toLowerCase() : '';
+}
+
+// Check a file's extension against allowedExtensions (none means any)
+function isExtensionAllowed(rules, filePath) {
+    const allowed = (rules.allowedExtensions || []).map(ext => ext.toLowerCase());
+    return allowed.length === 0 || allowed.includes(getExtension(filePath));
+}
+
+/**
+ * Find the asset a file belongs to and the rules it is edited with
+ * A file belongs to a single-file asset with its path, or to a directory asset
+ * with a `contains` when it sits directly in the directory with an allowed extension
+ * @param {Object} siteAssets - Parsed site-assets.json
+ * @param {string} filePath - Path relative to the project root
+ * @returns {Object|null} { asset, rules, type, schema, render }, or null when no asset has the file
+ */
+function resolveFile(siteAssets, filePath) {
+    const assets = (siteAssets.assets || []).filter(asset => asset && typeof asset.path === 'string');
+
+    const fileAsset = assets.find(asset => asset.type !== 'directory' && normalizePath(asset.path) === filePath);
+    if (fileAsset) {
+        return {
+            asset: fileAsset,
+            rules: fileAsset,
+            type: fileAsset.type || detectAssetType(filePath),
+            schema: fileAsset.schema,
+            render: fileAsset.render
+        };
+    }
+
+    const dir = path.posix.dirname(filePath);
+    const dirAsset = assets.find(asset => asset.type === 'directory' && asset.contains && normalizePath(asset.path) === dir);
+    if (!dirAsset || path.posix.basename(filePath) === 'manifest.json') return null;
+
+    const rules = dirAsset.contains.type === 'combo'
+        ? (dirAsset.contains.parts || []).find(part => (part.allowedExtensions || []).length > 0 && isExtensionAllowed(part, filePath))
+        : dirAsset.contains;
+    if (!rules || !isExtensionAllowed(rules, filePath)) return null;
+
+    return {
+        asset: dirAsset,
+        rules,
+        type: rules.assetType || rules.type || detectAssetType(filePath),
+        schema: rules.schema,
+        render: rules.render
+    };
+}
+
+// How the editor shows a file: a form, a text area, or an image
+function getEditorKind(type) {
+    if (type === 'json') return 'json';
+    if (type === 'image') return 'image';
+
+    const assetType = getAssetTypes().find(entry => entry.name === type);
+    return assetType && assetType.parse ? 'text' : null;
+}
+
+// Describe the files of a directory asset, grouped by base name for combo directories
+function listDirectory(asset) {
+    const dirPath = normalizePath(asset.path);
+    if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) return [];
+
+    const files = fs.readdirSync(dirPath)
+        .filter(name => name !== 'manifest.json')
+        .filter(name => fs.statSync(path.join(dirPath, name)).isFile())
+        .sort()
+        .map(name => `${dirPath}/${name}`);
+
+    if (asset.contains.type !== 'combo') {
+        return files
+            .filter(file => isExtensionAllowed(asset.contains, file))
+            .map(file => ({ name: path.posix.basename(file), files: [file] }));
+    }
+
+    const groups = new Map();
+    files
+        .filter(file => (asset.contains.parts || []).some(part => (part.allowedExtensions || []).length > 0 && isExtensionAllowed(part, file)))
+        .forEach(file => {
+            const name = path.posix.basename(file, path.posix.extname(file));
+            if (!groups.has(name)) {
+                groups.set(name, []);
+            }
+            groups.get(name).push(file);
+        });
+    return [...groups].map(([name, groupFiles]) => ({ name, files: groupFiles }));
+}
+
+// Describe every asset for the editor's sidebar
+function describeAssets(siteAssets) {
+    return (siteAssets.assets || [])
+        .filter(asset => asset && typeof asset.path === 'string')
+        .map(asset => {
+            const entry = {
+                path: normalizePath(asset.path),
+                type: asset.type || detectAssetType(asset.path),
+                label: asset.label || null,
+                description: asset.description || null
+            };
+
+            if (asset.type !== 'directory') {
+                entry.kind = getEditorKind(entry.type);
+                entry.exists = fs.existsSync(entry.path);
+                return entry;
+            }
+
+            if (!asset.contains) {
+                entry.kind = null;
+                return entry;
+            }
+
+            const parts = asset.contains.type === 'combo'
+                ? asset.contains.parts || []
+                : [{ assetType: asset.contains.type, ...asset.contains }];
+            entry.kind = 'directory';
+            entry.combo = asset.contains.type === 'combo';
+            entry.parts = parts.map(part => ({
+                type: part.assetType,
+                kind: getEditorKind(part.assetType),
+                allowedExtensions: part.allowedExtensions || [],
+                maxSize: part.maxSize || null,
+                hasSchema: Boolean(part.schema)
+            }));
+            entry.entries = listDirectory(asset);
+            return entry;
+        });
+}
+
+// Read a request body, refusing bodies larger than the limit
+function readBody(request, limit) {
+    return new Promise((resolve, reject) => {
+        const tooLarge = new RequestError(413, `Request is larger than ${limit} bytes`);
+        if (Number(request.headers['content-length']) > limit) {
+            // Drained so the client still gets the answer
+            request.resume();
+            reject(tooLarge);
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(tooLarge);
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks)));
+        request.on('error', reject);
+    });
+}
+
+// Parse a JSON request body
+async function readJsonBody(request) {
+    const body = await readBody(request, MAX_BODY_SIZE);
+    try {
+        return JSON.parse(body.toString('utf8'));
+    } catch (error) {
+        throw new RequestError(400, `Invalid JSON in request: ${error.message}`);
+    }
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(body));
+}
+
+// Check a file path from a request and find its asset
+function resolveRequestFile(siteAssets, rawPath) {
+    const filePath = normalizePath(rawPath || '');
+    if (!filePath || filePath.split('/').includes('..')) {
+        throw new RequestError(400, 'Invalid file path');
+    }
+
+    const resolved = resolveFile(siteAssets, filePath);
+    if (!resolved) {
+        throw new RequestError(403, `${filePath} does not belong to any asset in site-assets.json`);
+    }
+    return { filePath, ...resolved };
+}
+
+// Refuse content over an asset's maxSize
+function checkSize(rules, size, filePath) {
+    if (rules.maxSize && size > rules.maxSize) {
+        throw new RequestError(422, `${filePath} would be ${size} bytes, over the maxSize of ${rules.maxSize} bytes`);
+    }
+}
+
+/**
+ * Regenerate manifest.json files (and image metadata) after files were added,
+ * by running the build-manifest command
+ * @returns {Promise<Object>} { ok, output }
+ */
+function rebuildManifests() {
+    return new Promise(resolve => {
+        const env = { ...process.env, NO_COLOR: '1' };
+        execFile(process.execPath, [path.join(__dirname, 'build-manifest.js')], { env, timeout: 60000 }, (error, stdout) => {
+            resolve({ ok: !error, output: stdout.trim() });
+        });
+    });
+}
+
+// GET /api/assets
+function handleListAssets(response) {
+    const { siteAssets, problems } = loadSiteAssets();
+    sendJson(response, 200, { assets: describeAssets(siteAssets), problems });
+}
+
+// GET /api/content?path=
+function handleReadContent(response, params) {
+    const { siteAssets } = loadSiteAssets();
+    const { filePath, type, schema, render, rules } = resolveRequestFile(siteAssets, params.get('path'));
+    const kind = getEditorKind(type);
+    if (kind !== 'json' && kind !== 'text') {
+        throw new RequestError(400, `${filePath} is not a text file`);
+    }
+
+    const exists = fs.existsSync(filePath);
+    const text = exists ? fs.readFileSync(filePath, 'utf8') : null;
+    const body = { path: filePath, kind, type, render: render || null, schema: schema || null, maxSize: rules.maxSize || null, exists };
+
+    if (kind === 'json') {
+        try {
+            body.data = text === null ? null : JSON.parse(text);
+        } catch (error) {
+            // Shown as text so the file can still be repaired
+            body.text = text;
+            body.parseError = error.message;
+        }
+    } else {
+        body.text = text;
+    }
+    sendJson(response, 200, body);
+}
+
+// PUT /api/content?path=, with { data } for JSON or { text } for other text files
+async function handleWriteContent(request, response, params) {
+    const { siteAssets } = loadSiteAssets();
+    const { filePath, asset, type, schema, rules } = resolveRequestFile(siteAssets, params.get('path'));
+    const kind = getEditorKind(type);
+    const body = await readJsonBody(request);
+
+    let content;
+    if (kind === 'json') {
+        if (!('data' in body)) {
+            throw new RequestError(400, 'Missing "data"');
+        }
+        const errors = schema ? validateSchema(body.data, schema) : [];
+        if (errors.length > 0) {
+            throw new RequestError(422, `${filePath} does not match its schema`, errors);
+        }
+        content = JSON.stringify(body.data, null, 2) + '\n';
+    } else if (kind === 'text') {
+        if (typeof body.text !== 'string') {
+            throw new RequestError(400, 'Missing "text"');
+        }
+        content = body.text;
+    } else {
+        throw new RequestError(400, `${filePath} is not a text file`);
+    }
+
+    checkSize(rules, Buffer.byteLength(content), filePath);
+
+    const created = !fs.existsSync(filePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    log(`✓ ${created ? 'Created' : 'Saved'} ${filePath}`, 'green');
+
+    const manifest = created && asset.type === 'directory' ? await rebuildManifests() : null;
+    sendJson(response, 200, { path: filePath, created, manifest });
+}
+
+// POST /api/upload?asset=&name=[&replace=1], with the file as the body
+async function handleUpload(request, response, params) {
+    const { siteAssets } = loadSiteAssets();
+    const assetPath = normalizePath(params.get('asset') || '');
+    const name = params.get('name') || '';
+
+    const asset = (siteAssets.assets || []).find(entry =>
+        entry && entry.type === 'directory' && entry.contains && normalizePath(entry.path) === assetPath);
+    if (!asset) {
+        throw new RequestError(404, `No directory asset "${assetPath}" in site-assets.json`);
+    }
+    if (!FILE_NAME_PATTERN.test(name) || name === 'manifest.json') {
+        throw new RequestError(400, `Invalid file name "${name}"`);
+    }
+    if (!resolveFile(siteAssets, `${assetPath}/${name}`)) {
+        const parts = asset.contains.type === 'combo' ? asset.contains.parts || [] : [asset.contains];
+        const allowed = parts.flatMap(part => part.allowedExtensions || []);
+        throw new RequestError(422, `${getExtension(name) || 'Files without an extension'} cannot be added to ${assetPath}, use ${allowed.join(', ')}`);
+    }
+
+    const { filePath, rules } = resolveRequestFile(siteAssets, `${assetPath}/${name}`);
+    if (fs.existsSync(filePath) && params.get('replace') !== '1') {
+        throw new RequestError(409, `${filePath} already exists`);
+    }
+
+    const limit = rules.maxSize ? Math.min(rules.maxSize, MAX_BODY_SIZE) : MAX_BODY_SIZE;
+    const content = await readBody(request, limit + 1);
+    checkSize(rules, content.length, filePath);
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    log(`✓ Uploaded ${filePath} (${content.length} bytes)`, 'green');
+
+    sendJson(response, 200, { path: filePath, manifest: await rebuildManifests() });
+}
+
+// GET /files/<path>: files of assets, for image previews
+function serveAssetFile(response, urlPath) {
+    const { siteAssets } = loadSiteAssets();
+    const { filePath } = resolveRequestFile(siteAssets, urlPath.slice('/files/'.length));
+    if (!fs.existsSync(filePath)) {
+        throw new RequestError(404, 'Not found');
+    }
+
+    const contentType = MIME_TYPES[getExtension(filePath)] || 'application/octet-stream';
+    response.writeHead(200, {
+        'Content-Type': contentType,
+        'Cache-Control': 'no-cache',
+        // Uploaded SVGs must not run scripts in the editor's origin
+        'Content-Security-Policy': "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'"
+    });
+    fs.createReadStream(filePath).pipe(response);
+}
+
+// Serve the editor page with this session's token
+function serveEditor(response, token) {
+    const html = fs.readFileSync(path.join(__dirname, 'edit-content.html'), 'utf8').replace('__EDITOR_TOKEN__', token);
+    response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(html);
+}
+
+/**
+ * Route a request
+ * The editor writes files, so API requests must come from the editor page: they
+ * carry the token embedded in it, and the Host header must be this server
+ * (other pages cannot read the token, and DNS rebinding changes the host)
+ */
+async function handleRequest(request, response, { port, token }) {
+    const url = new URL(request.url, 'http://localhost');
+    const urlPath = decodeURIComponent(url.pathname);
+
+    if (![`localhost:${port}`, `127.0.0.1:${port}`].includes(request.headers.host)) {
+        throw new RequestError(403, 'Forbidden');
+    }
+
+    if (request.method === 'GET' && urlPath === '/') {
+        serveEditor(response, token);
+        return;
+    }
+    if (request.method === 'GET' && urlPath === '/asset-loader.js') {
+        response.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8' });
+        fs.createReadStream(path.join(__dirname, 'asset-loader.js')).pipe(response);
+        return;
+    }
+    if (request.method === 'GET' && urlPath.startsWith('/files/')) {
+        serveAssetFile(response, urlPath);
+        return;
+    }
+
+    if (!urlPath.startsWith('/api/')) {
+        throw new RequestError(404, 'Not found');
+    }
+    if (request.headers['x-editor-token'] !== token) {
+        throw new RequestError(403, 'Missing or wrong editor token, reload the page');
+    }
+
+    const route = `${request.method} ${urlPath}`;
+    if (route === 'GET /api/assets') {
+        handleListAssets(response);
+    } else if (route === 'GET /api/content') {
+        handleReadContent(response, url.searchParams);
+    } else if (route === 'PUT /api/content') {
+        await handleWriteContent(request, response, url.searchParams);
+    } else if (route === 'POST /api/upload') {
+        await handleUpload(request, response, url.searchParams);
+    } else {
+        throw new RequestError(404, 'Not found');
+    }
+}
+
+// Main function
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        log('\nUsage: npx edit-content [--port 3001]', 'yellow');
+        log('Serves a local editor for the content of the assets in site-assets.json', 'cyan');
+        log('Forms are generated from each asset\'s schema, and uploads follow allowedExtensions and maxSize\n', 'cyan');
+        return;
+    }
+
+    if (!Number.isInteger(options.port) || options.port <= 0) {
+        log('Error: --port must be a positive integer', 'red');
+        process.exit(1);
+    }
+
+    if (!fs.existsSync('site-assets.json')) {
+        log('Error: site-assets.json not found in the current directory', 'red');
+        process.exit(1);
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+
+    const server = http.createServer((request, response) => {
+        handleRequest(request, response, { port: options.port, token }).catch(error => {
+            const status = error instanceof RequestError ? error.status : 500;
+            if (status === 500) {
+                log(`Error: ${error.message}`, 'red');
+            }
+            if (!response.headersSent) {
+                sendJson(response, status, { error: error.message, details: error.details || null });
+            }
+        });
+    });
+
+    // Only reachable from this machine
+    server.listen(options.port, '127.0.0.1', () => {
+        log('\n=== dynaloader content editor ===\n', 'bright');
+        log(`Editing ${process.cwd()} at http://localhost:${options.port}`, 'green');
+        log('Changes are written to disk right away, commit them as usual\n', 'cyan');
+    });
+}
+
+// Run
+main();
@@ -3,6 +3,7 @@
 import fs from 'fs';
 import path from 'path';
 import { createRequire } from 'module';
+import { validateSchema, validateSiteAssets, formatSiteAssetsError } from './asset-loader.js';
 
 const require = createRequire(import.meta.url);
 
@@ -21,172 +22,261 @@ function log(message, color = 'reset') {
     console.log(`${colors[color]}${message}${colors.reset}`);
 }
 
-// Infer JSON schema from a value
-function inferSchema(value, visited = new WeakSet()) {
-    // Handle null
-    if (value === null) {
-        return { type: 'null' };
-    }
+// Enums are only inferred for strings with at most this many distinct values
+const ENUM_MAX_VALUES = 10;
 
-    // Handle arrays
-    if (Array.isArray(value)) {
-        if (value.length === 0) {
-            return {
-                type: 'array',
-                items: {}
-            };
-        }
+// Constraints drawn from the values themselves (enums, number ranges) need
+// at least this many samples, so one file does not pin a field to its value
+const CONSTRAINT_MIN_SAMPLES = 5;
 
-        // Analyze all items to find common schema
-        const itemSchemas = value.map(item => inferSchema(item, visited));
-        const unifiedSchema = unifySchemas(itemSchemas);
+// Keywords the inference derives from the values, widened or dropped when merging
+const INFERRED_CONSTRAINTS = ['enum', 'format', 'minimum', 'maximum'];
 
-        return {
-            type: 'array',
-            items: unifiedSchema
-        };
-    }
+// JSON type of a parsed value, with integers and other numbers both 'number'
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
 
-    // Handle objects
-    if (typeof value === 'object') {
-        // Prevent circular references
-        if (visited.has(value)) {
-            return { type: 'object' };
+// Detect the format of a string, or null when it has none
+function detectFormat(value) {
+    if (/^[a-z][a-z\d+.-]*:\/\/\S+$/i.test(value)) {
+        try {
+            new URL(value);
+            return 'uri';
+        } catch {
+            return null;
         }
-        visited.add(value);
-
-        const schema = {
-            type: 'object',
-            properties: {},
-            required: []
-        };
+    }
+    if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+        return 'email';
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))) {
+        return 'date';
+    }
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/.test(value) && !isNaN(Date.parse(value))) {
+        return 'date-time';
+    }
+    return null;
+}
 
-        // Analyze all properties
-        for (const [key, val] of Object.entries(value)) {
-            schema.properties[key] = inferSchema(val, visited);
-            schema.required.push(key);
+/**
+ * Infer a JSON schema that every one of the values matches
+ * Values of different types give an anyOf with a schema per type
+ * @param {Array<*>} values - Parsed samples (e.g. one per file, or every item of some arrays)
+ * @returns {Object} JSON schema
+ */
+function inferSchema(values) {
+    const groups = new Map();
+    values.forEach(value => {
+        const type = getJsonType(value);
+        if (!groups.has(type)) {
+            groups.set(type, []);
         }
+        groups.get(type).push(value);
+    });
+
+    const schemas = [...groups].map(([type, group]) => {
+        switch (type) {
+            case 'object': return inferObjectSchema(group);
+            case 'array': return { type: 'array', items: inferSchema(group.flat()) };
+            case 'string': return inferStringSchema(group);
+            case 'number': return inferNumberSchema(group);
+            default: return { type };
+        }
+    });
 
-        visited.delete(value);
-        return schema;
-    }
-
-    // Handle primitives
-    const type = typeof value;
-    if (type === 'string') {
-        // Check for common patterns
-        const schema = { type: 'string' };
+    if (schemas.length === 0) return {};
+    return schemas.length === 1 ? schemas[0] : { anyOf: schemas };
+}
 
-        // Check if it's a URL
-        try {
-            new URL(value);
-            schema.format = 'uri';
-        } catch {
-            // Check if it's an email
-            if (value.includes('@') && value.includes('.')) {
-                schema.format = 'email';
-            }
-            // Check if it's a date (YYYY-MM-DD format)
-            else if (value.match(/^\d{4}-\d{2}-\d{2}$/) && !isNaN(Date.parse(value))) {
-                schema.format = 'date';
-            }
-            // Check if it's a date-time (ISO 8601 format)
-            else if (value.match(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/) && !isNaN(Date.parse(value))) {
-                schema.format = 'date-time';
+// Objects: a property is required when every sample has it
+function inferObjectSchema(objects) {
+    const valuesByKey = new Map();
+    objects.forEach(object => {
+        Object.entries(object).forEach(([key, value]) => {
+            if (!valuesByKey.has(key)) {
+                valuesByKey.set(key, []);
             }
+            valuesByKey.get(key).push(value);
+        });
+    });
+
+    const schema = { type: 'object', properties: {}, required: [] };
+    valuesByKey.forEach((values, key) => {
+        schema.properties[key] = inferSchema(values);
+        if (values.length === objects.length) {
+            schema.required.push(key);
         }
+    });
+    return schema;
+}
+
+// Strings: a format shared by all of them, or an enum when few values repeat
+function inferStringSchema(strings) {
+    const schema = { type: 'string' };
 
+    const formats = new Set(strings.map(detectFormat));
+    if (formats.size === 1 && !formats.has(null)) {
+        schema.format = [...formats][0];
         return schema;
     }
 
-    if (type === 'number') {
-        return {
-            type: Number.isInteger(value) ? 'integer' : 'number'
-        };
+    const distinct = [...new Set(strings)];
+    if (strings.length >= CONSTRAINT_MIN_SAMPLES && distinct.length <= Math.min(ENUM_MAX_VALUES, strings.length / 2)) {
+        schema.enum = distinct.sort();
     }
+    return schema;
+}
+
+// Numbers: integer when all of them are, with the range seen
+function inferNumberSchema(numbers) {
+    const schema = { type: numbers.every(Number.isInteger) ? 'integer' : 'number' };
 
-    if (type === 'boolean') {
-        return { type: 'boolean' };
+    if (numbers.length >= CONSTRAINT_MIN_SAMPLES) {
+        schema.minimum = numbers.reduce((min, value) => Math.min(min, value));
+        schema.maximum = numbers.reduce((max, value) => Math.max(max, value));
     }
+    return schema;
+}
 
-    return { type: 'string' }; // Fallback
+// A schema without keywords accepts anything, and says nothing worth keeping
+function isEmptySchema(schema) {
+    return !schema || Object.keys(schema).length === 0;
 }
 
-// Unify multiple schemas into one (for arrays with mixed types)
-function unifySchemas(schemas) {
-    if (schemas.length === 0) return {};
+// The alternatives of a schema: the branches of a bare anyOf, or the schema itself
+function getBranches(schema) {
+    return schema.anyOf && schema.type === undefined ? schema.anyOf : [schema];
+}
 
-    // Check if all schemas are the same type
-    const types = [...new Set(schemas.map(s => s.type))];
-
-    if (types.length === 1) {
-        const baseSchema = { ...schemas[0] };
-        delete baseSchema.type; // Remove type for 'anyOf' or 'oneOf'
-
-        // If all are objects, merge their properties
-        if (types[0] === 'object') {
-            const mergedProperties = {};
-            const allRequired = new Set();
-
-            schemas.forEach(s => {
-                if (s.properties) {
-                    Object.assign(mergedProperties, s.properties);
-                }
-                if (s.required) {
-                    s.required.forEach(req => allRequired.add(req));
-                }
-            });
-
-            return {
-                type: 'object',
-                properties: mergedProperties,
-                required: Array.from(allRequired)
-            };
+// Schemas with the same key describe the same kind of value and can be merged
+function getTypeKey(schema) {
+    if (schema.type === 'integer') return 'number';
+    return typeof schema.type === 'string' ? schema.type : null;
+}
+
+/**
+ * Combine an existing schema with one inferred from the current files
+ * Keywords of the existing schema (descriptions, patterns, ...) are kept and new
+ * properties are added as inferred. Where both describe a value, constraints are
+ * widened so the existing rules and the files both fit: a property is only required
+ * when both schemas require it, and an inferred enum, format or range only stays
+ * when the existing schema has one too
+ * @param {Object} existing - Schema from site-assets.json
+ * @param {Object} inferred - Schema inferred from the files
+ * @returns {Object} Merged schema
+ */
+function mergeSchemas(existing, inferred) {
+    if (isEmptySchema(existing)) return inferred;
+    if (isEmptySchema(inferred)) return existing;
+
+    const branches = [...getBranches(existing)];
+    getBranches(inferred).forEach(branch => {
+        const key = getTypeKey(branch);
+        const index = key ? branches.findIndex(candidate => getTypeKey(candidate) === key) : -1;
+        if (index === -1) {
+            branches.push(branch);
+        } else {
+            branches[index] = mergeTypedSchemas(branches[index], branch);
         }
+    });
 
-        return baseSchema;
+    if (existing.anyOf && existing.type === undefined) {
+        return { ...existing, anyOf: branches };
     }
-
-    // Mixed types - use anyOf
-    return {
-        anyOf: schemas
-    };
+    return branches.length === 1 ? branches[0] : { anyOf: branches };
 }
 
-// Generate schema from JSON file
-function generateSchema(jsonPath) {
-    try {
-        const content = fs.readFileSync(jsonPath, 'utf8');
-        const data = JSON.parse(content);
+// Merge two schemas of the same type (integer and number count as one)
+function mergeTypedSchemas(existing, inferred) {
+    const merged = { ...inferred, ...existing };
 
-        const schema = inferSchema(data);
+    if (existing.type !== inferred.type) {
+        merged.type = 'number';
+    }
 
-        return schema;
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            log(`Error: File "${jsonPath}" not found`, 'red');
-            process.exit(1);
-        } else if (error instanceof SyntaxError) {
-            log(`Error: Invalid JSON in "${jsonPath}"`, 'red');
-            log(`  ${error.message}`, 'red');
-            process.exit(1);
-        } else {
-            log(`Error: ${error.message}`, 'red');
-            process.exit(1);
+    INFERRED_CONSTRAINTS.forEach(keyword => {
+        if (!(keyword in existing)) {
+            delete merged[keyword];
+        } else if (keyword in inferred) {
+            if (keyword === 'enum') {
+                merged.enum = [...new Set([...existing.enum, ...inferred.enum])];
+            } else if (keyword === 'minimum') {
+                merged.minimum = Math.min(existing.minimum, inferred.minimum);
+            } else if (keyword === 'maximum') {
+                merged.maximum = Math.max(existing.maximum, inferred.maximum);
+            }
         }
+    });
+
+    if (merged.type === 'object') {
+        const properties = { ...existing.properties };
+        Object.entries(inferred.properties || {}).forEach(([key, schema]) => {
+            properties[key] = key in properties ? mergeSchemas(properties[key], schema) : schema;
+        });
+        merged.properties = properties;
+        merged.required = (existing.required || []).filter(key => (inferred.required || []).includes(key));
+    }
+
+    if (merged.type === 'array' && existing.items && inferred.items) {
+        merged.items = mergeSchemas(existing.items, inferred.items);
     }
+
+    return merged;
+}
+
+/**
+ * Read and parse the sample files
+ * With several files, invalid ones are reported and left out; a single file must be valid
+ * @param {Array<string>} filePaths - JSON files to read
+ * @returns {Array<Object>} { file, data } for every file that could be parsed
+ */
+function loadSamples(filePaths) {
+    const samples = [];
+
+    filePaths.forEach(filePath => {
+        try {
+            samples.push({ file: filePath, data: JSON.parse(fs.readFileSync(filePath, 'utf8')) });
+        } catch (error) {
+            const message = error.code === 'ENOENT'
+                ? `File "${filePath}" not found`
+                : `Invalid JSON in "${filePath}": ${error.message}`;
+            if (filePaths.length === 1) {
+                log(`Error: ${message}`, 'red');
+                process.exit(1);
+            }
+            log(`! Skipping ${message}`, 'yellow');
+        }
+    });
+
+    return samples;
 }
 
 // Load site-assets.json
 function loadSiteAssets() {
+    let siteAssets;
     try {
-        const data = fs.readFileSync('site-assets.json', 'utf8');
-        return JSON.parse(data);
+        siteAssets = JSON.parse(fs.readFileSync('site-assets.json', 'utf8'));
     } catch (error) {
         log('Error loading site-assets.json', 'red');
         log(`  ${error.message}`, 'red');
         process.exit(1);
     }
+
+    warnInvalidSiteAssets(siteAssets);
+    return siteAssets;
+}
+
+// Warn about problems in site-assets.json without stopping the command
+function warnInvalidSiteAssets(siteAssets) {
+    const errors = validateSiteAssets(siteAssets);
+    if (errors.length === 0) return;
+
+    log('! site-assets.json has problems, the loader will refuse it until they are fixed:', 'yellow');
+    errors.forEach(error => log(`  ${formatSiteAssetsError(error)}`, 'yellow'));
+    log('');
 }
 
 // Save site-assets.json
@@ -201,133 +291,151 @@ function saveSiteAssets(assets) {
     }
 }
 
-// Find a sample JSON file in a directory
-function findSampleJsonFile(dirPath) {
-    try {
-        const files = fs.readdirSync(dirPath);
-        const jsonFile = files.find(f => path.extname(f).toLowerCase() === '.json');
-        return jsonFile ? path.join(dirPath, jsonFile) : null;
-    } catch (error) {
-        return null;
+// List the files of a directory with the given extensions (manifest.json excluded)
+function listSampleFiles(dirPath, extensions) {
+    return fs.readdirSync(dirPath)
+        .filter(name => name !== 'manifest.json' && extensions.includes(path.extname(name).toLowerCase()))
+        .filter(name => fs.statSync(path.join(dirPath, name)).isFile())
+        .sort()
+        .map(name => path.join(dirPath, name));
+}
+
+// Where the schema of JSON files of an asset is kept: the JSON part of a combo
+// directory, `contains` of a simple directory, or the asset itself
+function getSchemaOwner(asset) {
+    if (asset.type !== 'directory' || !asset.contains) return asset;
+
+    if (asset.contains.type === 'combo') {
+        return (asset.contains.parts || []).find(part => part.assetType === 'json') || null;
     }
+    return asset.contains;
+}
+
+// Parse command line options
+function parseArgs(args) {
+    const options = { inputPath: null, merge: false };
+
+    args.forEach(arg => {
+        if (arg === '--merge') {
+            options.merge = true;
+        } else if (arg === '--help') {
+            options.help = true;
+        } else if (!arg.startsWith('-') && options.inputPath === null) {
+            options.inputPath = arg;
+        } else {
+            log(`Error: Unknown argument "${arg}"`, 'red');
+            process.exit(1);
+        }
+    });
+
+    return options;
 }
 
 // Main function
 function main() {
-    const inputPath = process.argv[2];
+    const options = parseArgs(process.argv.slice(2));
+    const inputPath = options.inputPath;
 
-    if (!inputPath) {
-        log('\nUsage: npm run generate-schema <path-to-json-file-or-directory>', 'yellow');
+    if (options.help || !inputPath) {
+        log('\nUsage: npm run generate-schema <path-to-json-file-or-directory> [--merge]', 'yellow');
+        log('Infers a schema from a JSON file, or from every JSON file of a directory', 'cyan');
+        log('  --merge  Refine the existing schema in site-assets.json instead of replacing it', 'cyan');
         log('Examples:', 'cyan');
         log('  npm run generate-schema content/property.json', 'cyan');
         log('  npm run generate-schema gallery', 'cyan');
+        log('  npm run generate-schema gallery --merge', 'cyan');
         log('  npm run generate-schema gallery/some-file.json\n', 'cyan');
-        process.exit(1);
+        if (!options.help) process.exit(1);
+        return;
     }
 
     // Normalize path separators
-    const normalizedInput = inputPath.replace(/\\/g, '/');
+    const normalizedInput = inputPath.replace(/\\/g, '/').replace(/\/+$/, '');
 
     // Check if it's a directory or file
-    let targetPath;
-    let isDirectory = false;
-
-    if (fs.existsSync(inputPath)) {
-        const stats = fs.statSync(inputPath);
-        isDirectory = stats.isDirectory();
-
-        if (isDirectory) {
-            // Find a sample JSON file in the directory
-            targetPath = findSampleJsonFile(inputPath);
-            if (!targetPath) {
-                log(`Error: No JSON files found in directory "${inputPath}"`, 'red');
-                process.exit(1);
-            }
-            log(`\nUsing sample file: ${targetPath}`, 'cyan');
-        } else {
-            targetPath = inputPath;
-        }
-    } else {
+    const isDirectory = fs.existsSync(inputPath) && fs.statSync(inputPath).isDirectory();
+    let targetPath = normalizedInput;
+    if (!isDirectory && !fs.existsSync(inputPath) && path.extname(targetPath).toLowerCase() !== '.json') {
         // File doesn't exist, assume it's a JSON file path
-        targetPath = inputPath;
-        if (path.extname(targetPath).toLowerCase() !== '.json') {
-            targetPath = targetPath + '.json';
-        }
+        targetPath = targetPath + '.json';
     }
 
-    log(`\nGenerating schema for: ${targetPath}\n`, 'bright');
-
-    const schema = generateSchema(targetPath);
-    const schemaJson = JSON.stringify(schema, null, 2);
-
     // Load site-assets.json
     const siteAssets = loadSiteAssets();
+    const assets = siteAssets.assets || [];
+    const normalizeAssetPath = assetPath => assetPath.replace(/\\/g, '/').replace(/^\.\//, '');
+
+    // A directory asset, a file asset, or a file within a directory asset
+    let asset = assets.find(a => normalizeAssetPath(a.path) === targetPath && (!isDirectory || a.type === 'directory'));
+    if (!asset && !isDirectory) {
+        const dir = path.posix.dirname(targetPath);
+        asset = assets.find(a => normalizeAssetPath(a.path) === dir && a.type === 'directory');
+    }
 
-    // Normalize paths for comparison
-    const normalizedTargetPath = targetPath.replace(/\\/g, '/');
-
-    // Check if this is a directory asset or a file within one
-    let assetIndex = -1;
-    let isComboJson = false;
+    const owner = asset ? getSchemaOwner(asset) : null;
+    if (asset && !owner) {
+        log('Error: No JSON part found in combo asset', 'red');
+        process.exit(1);
+    }
+    if (options.merge && !owner) {
+        log('Error: --merge needs an asset in site-assets.json to merge with', 'red');
+        process.exit(1);
+    }
 
+    // Every JSON file of a directory is a sample
+    let files = [targetPath];
     if (isDirectory) {
-        // Look for directory asset matching the input
-        assetIndex = siteAssets.assets.findIndex(asset => {
-            const assetPath = asset.path.replace(/\\/g, '/');
-            return assetPath === normalizedInput && asset.type === 'directory';
-        });
-    } else {
-        // First, try to find a direct match for the file
-        assetIndex = siteAssets.assets.findIndex(asset => {
-            const assetPath = asset.path.replace(/\\/g, '/');
-            return assetPath === normalizedTargetPath;
-        });
-
-        // If not found, check if it's part of a combo directory asset
-        if (assetIndex === -1) {
-            const dir = path.dirname(normalizedTargetPath);
-            assetIndex = siteAssets.assets.findIndex(asset => {
-                const assetPath = asset.path.replace(/\\/g, '/');
-                return assetPath === dir &&
-                    asset.type === 'directory' &&
-                    asset.contains?.type === 'combo';
-            });
-            if (assetIndex !== -1) {
-                isComboJson = true;
-            }
+        const extensions = owner && owner.allowedExtensions && owner.allowedExtensions.includes('.json')
+            ? owner.allowedExtensions.map(ext => ext.toLowerCase())
+            : ['.json'];
+        files = listSampleFiles(inputPath, extensions);
+        if (files.length === 0) {
+            log(`Error: No JSON files found in directory "${inputPath}"`, 'red');
+            process.exit(1);
         }
     }
 
-    if (assetIndex === -1) {
+    log(`\nGenerating schema for: ${isDirectory ? `${normalizedInput} (${files.length} files)` : targetPath}\n`, 'bright');
+
+    const samples = loadSamples(files);
+    if (samples.length === 0) {
+        log('Error: None of the files could be read', 'red');
+        process.exit(1);
+    }
+
+    let schema = inferSchema(samples.map(sample => sample.data));
+    if (options.merge && owner.schema) {
+        schema = mergeSchemas(owner.schema, schema);
+        log('Merged with the existing schema', 'cyan');
+    } else if (options.merge) {
+        log('No existing schema to merge with, using the inferred one', 'yellow');
+    }
+    const schemaJson = JSON.stringify(schema, null, 2);
+
+    if (!asset) {
         log(`Warning: Asset not found in site-assets.json`, 'yellow');
         log('The schema will be output to stdout instead.\n', 'yellow');
         console.log(schemaJson);
         return;
     }
 
-    const asset = siteAssets.assets[assetIndex];
+    owner.schema = schema;
+    saveSiteAssets(siteAssets);
 
-    // Handle different asset types
-    if (isComboJson || (isDirectory && asset.contains?.type === 'combo')) {
-        // Update schema for JSON part in combo asset
-        const parts = asset.contains.parts;
-        const jsonPartIndex = parts.findIndex(p => p.assetType === 'json');
+    const target = owner === asset ? 'asset' : owner === asset.contains ? 'files of directory' : 'JSON part of combo asset';
+    log(`✓ Schema updated for ${target}: ${asset.label || asset.path}`, 'green');
 
-        if (jsonPartIndex === -1) {
-            log('Error: No JSON part found in combo asset', 'red');
-            process.exit(1);
-        }
-
-        siteAssets.assets[assetIndex].contains.parts[jsonPartIndex].schema = schema;
-        saveSiteAssets(siteAssets);
-
-        log(`✓ Schema updated for JSON part of combo asset: ${asset.label}`, 'green');
-    } else {
-        // Update schema for regular JSON asset
-        siteAssets.assets[assetIndex].schema = schema;
-        saveSiteAssets(siteAssets);
-
-        log(`✓ Schema updated for asset: ${asset.label}`, 'green');
+    // Kept rules of a merged schema (or formats the validator reads more strictly) may not fit every file
+    const mismatches = samples
+        .map(sample => ({ file: sample.file, errors: validateSchema(sample.data, schema) }))
+        .filter(result => result.errors.length > 0);
+    if (mismatches.length > 0) {
+        log(`! ${mismatches.length} of ${samples.length} files do not match the schema:`, 'yellow');
+        mismatches.forEach(({ file, errors }) => {
+            log(`  ${file} ${errors[0].path}: ${errors[0].message}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`, 'yellow');
+        });
+    } else if (samples.length > 1) {
+        log(`✓ All ${samples.length} files match the schema`, 'green');
     }
 
     log(`\nSchema preview:`, 'cyan');
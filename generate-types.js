@@ -0,0 +1,403 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { validateSiteAssets, formatSiteAssetsError, detectAssetType } from './asset-loader.js';
+
+// Color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    red: '\x1b[31m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const DEFAULT_OUTPUT = 'content-types.d.ts';
+
+const INDENT = '    ';
+
+// Content of the built-in types that do not depend on a schema
+const BUILT_IN_CONTENT = {
+    text: 'string',
+    html: 'string',
+    svg: 'string',
+    csv: 'Array<{ [column: string]: string }>',
+    image: 'ImageData'
+};
+
+// Names from the loader's typings, imported when used and never generated
+const LOADER_TYPES = ['ContentData', 'ImageData', 'MarkdownContent'];
+
+// Parse command line options
+function parseArgs(args) {
+    const options = { out: DEFAULT_OUTPUT, module: null, check: false };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--out' || args[i] === '-o') {
+            options.out = args[++i];
+        } else if (args[i] === '--module') {
+            options.module = args[++i];
+        } else if (args[i] === '--check') {
+            options.check = true;
+        } else if (args[i] === '--help') {
+            options.help = true;
+        }
+    }
+
+    return options;
+}
+
+// Load site-assets.json, exiting when it does not have the shape the loader expects
+function loadSiteAssets() {
+    let siteAssets;
+    try {
+        siteAssets = JSON.parse(fs.readFileSync('site-assets.json', 'utf8'));
+    } catch (error) {
+        log('Error loading site-assets.json', 'red');
+        log(`  ${error.message}`, 'red');
+        process.exit(1);
+    }
+
+    const errors = validateSiteAssets(siteAssets);
+    if (errors.length > 0) {
+        log('✗ site-assets.json has problems the loader would refuse it for:', 'red');
+        errors.forEach(error => log(`  ${formatSiteAssetsError(error)}`, 'red'));
+        log('');
+        process.exit(1);
+    }
+    return siteAssets;
+}
+
+/**
+ * Module the generated types augment: the copy of asset-loader.js next to the
+ * output (as written by init), or the package
+ * @param {string} outPath - Path of the .d.ts file
+ * @returns {string} Module specifier, relative to the output file when it is a local copy
+ */
+function detectModule(outPath) {
+    if (!fs.existsSync('asset-loader.js')) return 'dynaloader';
+
+    const relative = path.relative(path.dirname(path.resolve(outPath)), path.resolve('asset-loader.js')).replace(/\\/g, '/');
+    return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+// PascalCase identifier from a file name, e.g. "team-members.json" → "TeamMembers"
+function toTypeName(text) {
+    const name = text
+        .split(/[^a-zA-Z0-9]+/)
+        .filter(Boolean)
+        .map(word => word[0].toUpperCase() + word.slice(1))
+        .join('');
+    return /^[A-Z]/.test(name) ? name : `Asset${name}`;
+}
+
+// Quote an object key unless it is a valid identifier
+function formatKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+}
+
+// A doc comment line for a description, or nothing
+function formatDoc(description, indent) {
+    if (typeof description !== 'string' || description.trim() === '') return [];
+    return [`${indent}/** ${description.trim().replace(/\*\//g, '*\\/').replace(/\s*\n\s*/g, ' ')} */`];
+}
+
+// Wrap union and intersection types used inside an array or another type
+function wrap(type) {
+    return /^[\w.]+(<.*>)?(\[\])*$|^'[^']*'$|^\{[\s\S]*\}$|^\[[\s\S]*\]$/.test(type) ? type : `(${type})`;
+}
+
+function union(types) {
+    const unique = [...new Set(types)];
+    if (unique.includes('unknown')) return 'unknown';
+    return unique.length === 0 ? 'never' : unique.join(' | ');
+}
+
+/**
+ * Convert a JSON schema to a TypeScript type
+ * Covers the keywords validateSchema supports; local $refs are resolved against
+ * the root schema, and recursive ones become unknown
+ * @param {Object|boolean} schema - JSON schema
+ * @param {Object} root - Schema $refs are resolved against
+ * @param {string} indent - Indentation of the line the type starts on
+ * @param {Set} [refs] - $refs being expanded, to stop at recursion
+ * @returns {string} The type
+ */
+function schemaToType(schema, root, indent, refs = new Set()) {
+    if (schema === true || schema === undefined) return 'unknown';
+    if (schema === false) return 'never';
+    if (!schema || typeof schema !== 'object') return 'unknown';
+
+    if (typeof schema.$ref === 'string') {
+        const target = schema.$ref.replace(/^#\/?/, '').split('/').filter(Boolean)
+            .reduce((node, key) => node && node[decodeURIComponent(key).replace(/~1/g, '/').replace(/~0/g, '~')], root);
+        if (!target || refs.has(schema.$ref)) return 'unknown';
+        return schemaToType(target, root, indent, new Set([...refs, schema.$ref]));
+    }
+
+    if ('const' in schema) return formatLiteral(schema.const);
+    if (Array.isArray(schema.enum)) return union(schema.enum.map(formatLiteral));
+
+    const branches = schema.anyOf || schema.oneOf;
+    if (Array.isArray(branches)) {
+        return union(branches.map(branch => wrap(schemaToType(branch, root, indent, refs))));
+    }
+    if (Array.isArray(schema.allOf)) {
+        const parts = schema.allOf.map(part => schemaToType(part, root, indent, refs)).filter(type => type !== 'unknown');
+        return parts.length === 0 ? 'unknown' : [...new Set(parts)].map(wrap).join(' & ');
+    }
+
+    let types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+    if (types.length === 0) {
+        if (schema.properties || schema.additionalProperties !== undefined) types = ['object'];
+        else if (schema.items) types = ['array'];
+        else return 'unknown';
+    }
+
+    return union(types.map(type => {
+        switch (type) {
+            case 'string': return 'string';
+            case 'number':
+            case 'integer': return 'number';
+            case 'boolean': return 'boolean';
+            case 'null': return 'null';
+            case 'array': return arrayToType(schema, root, indent, refs);
+            case 'object': return objectToType(schema, root, indent, refs);
+            default: return 'unknown';
+        }
+    }));
+}
+
+// A JSON value as a literal type
+function formatLiteral(value) {
+    if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+    if (value === null || typeof value === 'number' || typeof value === 'boolean') return String(value);
+    return 'unknown';
+}
+
+function arrayToType(schema, root, indent, refs) {
+    if (Array.isArray(schema.items)) {
+        return `[${schema.items.map(item => schemaToType(item, root, indent, refs)).join(', ')}]`;
+    }
+    return `Array<${schemaToType(schema.items, root, indent, refs)}>`;
+}
+
+function objectToType(schema, root, indent, refs) {
+    const properties = schema.properties || {};
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    const inner = indent + INDENT;
+
+    const lines = Object.entries(properties).flatMap(([name, property]) => [
+        ...formatDoc(property && property.description, inner),
+        `${inner}${formatKey(name)}${required.includes(name) ? '' : '?'}: ${schemaToType(property, root, inner, refs)};`
+    ]);
+
+    // Objects described by their properties only get an index signature when extra
+    // properties are declared; as known properties must fit it, it is then unknown
+    const extra = schema.additionalProperties;
+    const hasProperties = Object.keys(properties).length > 0;
+    if (extra !== false && (!hasProperties || extra !== undefined)) {
+        const type = !hasProperties && extra && typeof extra === 'object' ? schemaToType(extra, root, inner, refs) : 'unknown';
+        lines.push(`${inner}[key: string]: ${type};`);
+    }
+
+    return lines.length === 0 ? '{}' : `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Collects the named types of the generated file
+ */
+function createDeclarations() {
+    const used = new Set(LOADER_TYPES);
+    const declarations = [];
+    const imports = new Set();
+
+    return {
+        imports,
+        declarations,
+
+        // A name not used yet, from a path: its base name, then its parent directory
+        reserveName(filePath, suffix = '') {
+            const parts = filePath.replace(/\.[^./]+$/, '').split('/').filter(Boolean);
+            let name = toTypeName(parts[parts.length - 1] || 'asset') + suffix;
+            if (used.has(name) && parts.length > 1) {
+                name = toTypeName(parts.slice(-2).join('-')) + suffix;
+            }
+            const base = name;
+            for (let i = 2; used.has(name); i++) {
+                name = `${base}${i}`;
+            }
+            used.add(name);
+            return name;
+        },
+
+        // Declare a type, as an interface when it is an object type
+        add(name, type, doc) {
+            const docLines = formatDoc(doc, '');
+            declarations.push(type.startsWith('{\n')
+                ? [...docLines, `export interface ${name} ${type}`].join('\n')
+                : [...docLines, `export type ${name} = ${type};`].join('\n'));
+            return name;
+        },
+
+        use(typeName) {
+            imports.add(typeName);
+            return typeName;
+        }
+    };
+}
+
+/**
+ * Type of the content of one file, as the loader produces it: the schema wins
+ * (content is checked against it after parsing and rendering), then rendering,
+ * then the type's parser
+ * @param {Object} declarations - From createDeclarations
+ * @param {string} type - Asset type of the file
+ * @param {Object} rules - Asset, `contains` or combo part with the file's schema and render
+ * @param {string} name - Name for a type generated from the schema
+ * @param {string} doc - Description of the generated type
+ * @returns {string} The type, or the name it was declared with
+ */
+function getFileType(declarations, type, rules, name, doc) {
+    if (rules.schema && typeof rules.schema === 'object') {
+        return declarations.add(name, schemaToType(rules.schema, rules.schema, ''), doc || rules.schema.description);
+    }
+    if (rules.render === 'markdown') return declarations.use('MarkdownContent');
+    if (type === 'image') return declarations.use('ImageData');
+    return BUILT_IN_CONTENT[type] || 'unknown';
+}
+
+// Type of a combo directory: combos keyed by base name, each with its parts keyed by extension
+function getComboType(declarations, asset, name) {
+    const entryName = declarations.reserveName(asset.path, 'Entry');
+    const lines = (asset.contains.parts || []).flatMap(part => {
+        const extensions = part.allowedExtensions || [];
+        if (extensions.length === 0) return [];
+
+        const partName = declarations.reserveName(asset.path, toTypeName(extensions[0]));
+        const type = getFileType(declarations, part.assetType, part, partName, `${extensions.join(', ')} part of the ${name} combos`);
+        // A combo only has the parts whose files exist
+        return extensions.map(ext => `${INDENT}${formatKey(ext)}?: ${type};`);
+    });
+
+    declarations.add(entryName, lines.length === 0 ? '{}' : `{\n${lines.join('\n')}\n}`, `Files of one ${name} combo, keyed by extension`);
+    return `{ [baseName: string]: ${entryName} }`;
+}
+
+// Type of a simple directory: its file paths, or its content keyed by file path with loadContent
+function getSimpleDirectoryType(declarations, asset) {
+    const { type, loadContent } = asset.contains;
+    if (!loadContent) return 'string[]';
+
+    const itemName = declarations.reserveName(asset.path, 'Item');
+    const itemType = getFileType(declarations, type, asset.contains, itemName, `A file of ${asset.path}`);
+    const known = type === 'image' || type === 'json' || type === 'yaml' || type === 'toml' || type in BUILT_IN_CONTENT;
+    const map = `{ [filePath: string]: ${itemType} }`;
+    // Registered types without a parser only list their paths
+    return known ? map : `string[] | ${map}`;
+}
+
+/**
+ * Build the .d.ts source for site-assets.json
+ * @param {Object} siteAssets - Parsed site-assets.json
+ * @param {string} moduleName - Module whose ContentData interface is augmented
+ * @returns {string} The file's content
+ */
+function generateTypes(siteAssets, moduleName) {
+    const declarations = createDeclarations();
+    const entries = [];
+
+    (siteAssets.assets || []).forEach(asset => {
+        const name = declarations.reserveName(asset.path);
+        const doc = asset.label ? `${asset.label} (${asset.path})` : asset.path;
+        let type;
+
+        if (asset.type === 'directory' && asset.contains && asset.contains.type === 'combo') {
+            type = declarations.add(name, getComboType(declarations, asset, name), `${doc}: combos keyed by base name`);
+        } else if (asset.type === 'directory' && asset.contains) {
+            type = declarations.add(name, getSimpleDirectoryType(declarations, asset), doc);
+        } else if (asset.type === 'directory') {
+            // Directories without `contains` give handlers their path
+            type = declarations.add(name, 'string', doc);
+        } else {
+            const fileType = getFileType(declarations, asset.type || detectAssetType(asset.path), asset, name, doc);
+            type = fileType === name ? name : declarations.add(name, fileType, doc);
+        }
+
+        entries.push(`${INDENT}${INDENT}'${asset.path.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}': ${type};`);
+    });
+
+    const imports = LOADER_TYPES.filter(typeName => declarations.imports.has(typeName));
+
+    return [
+        '// Generated by generate-types from site-assets.json, do not edit. Update it with: npx generate-types',
+        '',
+        imports.length > 0 ? `import type { ${imports.join(', ')} } from '${moduleName}';` : `import '${moduleName}';`,
+        '',
+        ...declarations.declarations.flatMap(declaration => [declaration, '']),
+        '// Content of each asset path, for getContentData(), loadAsset() and handlers',
+        `declare module '${moduleName}' {`,
+        `${INDENT}interface ContentData {`,
+        ...entries,
+        `${INDENT}}`,
+        '}',
+        ''
+    ].join('\n');
+}
+
+// Main function
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        log('\nUsage: npx generate-types [--out content-types.d.ts] [--module <name>] [--check]', 'yellow');
+        log('Writes TypeScript types for the content of every asset in site-assets.json, from their schemas', 'cyan');
+        log('  --out     File to write (default: content-types.d.ts)', 'cyan');
+        log('  --module  Module to type getContentData() for (default: ./asset-loader.js when it is in', 'cyan');
+        log('            the current directory, otherwise dynaloader)', 'cyan');
+        log('  --check   Do not write anything, exit non-zero if the file is missing or out of date\n', 'cyan');
+        return;
+    }
+
+    if (!options.out) {
+        log('Error: --out needs a file name', 'red');
+        process.exit(1);
+    }
+
+    log(`\n=== ${options.check ? 'Check' : 'Generate'} Content Types ===\n`, 'bright');
+
+    const siteAssets = loadSiteAssets();
+    const outPath = options.out.replace(/\\/g, '/').replace(/^\.\//, '');
+    const source = generateTypes(siteAssets, options.module || detectModule(outPath));
+    const count = (siteAssets.assets || []).length;
+
+    const current = fs.existsSync(outPath) ? fs.readFileSync(outPath, 'utf8') : null;
+    if (options.check) {
+        if (current !== source) {
+            log(`✗ ${outPath} is missing or out of date. Run: npx generate-types`, 'red');
+            process.exit(1);
+        }
+        log(`✓ ${outPath} is up to date (${count} assets)\n`, 'green');
+        return;
+    }
+
+    if (current === source) {
+        log(`✓ ${outPath} is up to date (${count} assets)\n`, 'green');
+        return;
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+    fs.writeFileSync(outPath, source);
+    log(`✓ Wrote ${outPath} (${count} assets)`, 'green');
+    log('  Include it in your tsconfig.json and re-run this after changing site-assets.json\n', 'cyan');
+}
+
+// Run
+main();
@@ -3,6 +3,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { CONFIG_VERSION } from './asset-loader.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,6 +26,7 @@ function log(message, color = 'reset') {
 // Default site-assets.json content
 const defaultSiteAssets = {
     version: '1.0',
+    configVersion: CONFIG_VERSION,
     description: 'Configuration file defining manageable assets',
     assets: []
 };
@@ -35,22 +37,24 @@ function main() {
 
     const cwd = process.cwd();
 
-    // Copy asset-loader.js
-    const sourceLoaderPath = path.join(__dirname, 'asset-loader.js');
-    const targetLoaderPath = path.join(cwd, 'asset-loader.js');
+    // Copy asset-loader.js and its type declarations
+    ['asset-loader.js', 'asset-loader.d.ts'].forEach(fileName => {
+        const sourceLoaderPath = path.join(__dirname, fileName);
+        const targetLoaderPath = path.join(cwd, fileName);
 
-    if (fs.existsSync(targetLoaderPath)) {
-        log(`asset-loader.js already exists in current directory`, 'yellow');
-        log(`Skipping copy...`, 'yellow');
-    } else {
-        try {
-            fs.copyFileSync(sourceLoaderPath, targetLoaderPath);
-            log(`✓ Copied asset-loader.js to current directory`, 'green');
-        } catch (error) {
-            log(`Error copying asset-loader.js: ${error.message}`, 'red');
-            process.exit(1);
+        if (fs.existsSync(targetLoaderPath)) {
+            log(`${fileName} already exists in current directory`, 'yellow');
+            log(`Skipping copy...`, 'yellow');
+        } else {
+            try {
+                fs.copyFileSync(sourceLoaderPath, targetLoaderPath);
+                log(`✓ Copied ${fileName} to current directory`, 'green');
+            } catch (error) {
+                log(`Error copying ${fileName}: ${error.message}`, 'red');
+                process.exit(1);
+            }
         }
-    }
+    });
 
     // Create site-assets.json if it doesn't exist
     const siteAssetsPath = path.join(cwd, 'site-assets.json');
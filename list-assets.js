@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import { validateSiteAssets, formatSiteAssetsError } from './asset-loader.js';
+
+// Color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    red: '\x1b[31m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Exit code for invalid arguments
+const EXIT_INVALID = 2;
+
+// Load site-assets.json
+function loadSiteAssets() {
+    try {
+        const data = fs.readFileSync('site-assets.json', 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        log('Error loading site-assets.json', 'red');
+        log(`  ${error.message}`, 'red');
+        process.exit(1);
+    }
+}
+
+// Warn about problems in site-assets.json without stopping the command
+function warnInvalidSiteAssets(siteAssets) {
+    const errors = validateSiteAssets(siteAssets);
+    if (errors.length === 0) return;
+
+    log('! site-assets.json has problems, the loader will refuse it until they are fixed:', 'yellow');
+    errors.forEach(error => log(`  ${formatSiteAssetsError(error)}`, 'yellow'));
+    log('');
+}
+
+// Parse command line options
+function parseArgs(args) {
+    const options = { json: false, type: null };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--json') {
+            options.json = true;
+        } else if (args[i] === '--type') {
+            options.type = args[++i];
+        } else if (args[i] === '--help') {
+            options.help = true;
+        } else {
+            log(`Error: Unknown argument "${args[i]}"`, 'red');
+            process.exit(EXIT_INVALID);
+        }
+    }
+
+    return options;
+}
+
+// Summarize an asset and check that its files exist
+function describeAsset(asset) {
+    return {
+        path: asset.path,
+        type: asset.type || null,
+        contains: asset.contains ? asset.contains.type : null,
+        label: asset.label || null,
+        loading: asset.loading || 'eager',
+        required: asset.required === true,
+        exists: fs.existsSync(asset.path),
+        handler: asset.handler || null,
+        handlerExists: asset.handler ? fs.existsSync(asset.handler) : null
+    };
+}
+
+// Print assets as an aligned table
+function printTable(entries) {
+    const rows = entries.map(entry => [
+        `${entry.exists ? ' ' : '!'} ${entry.path}`,
+        entry.contains ? `${entry.type} (${entry.contains})` : entry.type || '?',
+        entry.label || '',
+        entry.loading + (entry.required ? ', required' : ''),
+        entry.handler ? `${entry.handler}${entry.handlerExists ? '' : ' (missing)'}` : '-'
+    ]);
+    const header = ['  Path', 'Type', 'Label', 'Loading', 'Handler'];
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const format = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    log(format(header), 'bright');
+    rows.forEach((row, index) => {
+        const entry = entries[index];
+        const color = !entry.exists || entry.handlerExists === false ? 'yellow' : 'reset';
+        log(format(row), color);
+    });
+}
+
+// Main function
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        log('\nUsage: npx list-assets [--type <type>] [--json]', 'yellow');
+        log('  --type  Only list assets of this type (e.g. json, directory)', 'cyan');
+        log('  --json  Print a machine-readable list\n', 'cyan');
+        return;
+    }
+
+    const siteAssets = loadSiteAssets();
+    const entries = (siteAssets.assets || [])
+        .filter(asset => !options.type || asset.type === options.type)
+        .map(describeAsset);
+
+    if (options.json) {
+        console.log(JSON.stringify(entries, null, 2));
+        return;
+    }
+
+    log('\n=== Site Assets ===\n', 'bright');
+    warnInvalidSiteAssets(siteAssets);
+
+    if (entries.length === 0) {
+        log('No assets found in site-assets.json\n', 'yellow');
+        return;
+    }
+
+    printTable(entries);
+
+    const missing = entries.filter(entry => !entry.exists || entry.handlerExists === false).length;
+    log(`\n${entries.length} asset(s)${missing > 0 ? `, ${missing} with missing files (marked !)` : ''}\n`, missing > 0 ? 'yellow' : 'green');
+}
+
+// Run
+main();
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG_VERSION, validateSiteAssets, formatSiteAssetsError, detectAssetType } from './asset-loader.js';
+
+// Color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    red: '\x1b[31m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Load site-assets.json
+function loadSiteAssets() {
+    try {
+        const data = fs.readFileSync('site-assets.json', 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        log('Error loading site-assets.json', 'red');
+        log(`  ${error.message}`, 'red');
+        process.exit(1);
+    }
+}
+
+// Save site-assets.json, keeping its trailing newline (if any)
+function saveSiteAssets(siteAssets) {
+    const trailing = fs.readFileSync('site-assets.json', 'utf8').endsWith('\n') ? '\n' : '';
+    fs.writeFileSync('site-assets.json', JSON.stringify(siteAssets, null, 2) + trailing);
+    log('✓ Updated site-assets.json', 'green');
+}
+
+// Extensions of the files in a directory (manifest.json excluded)
+function listDirectoryExtensions(dirPath) {
+    if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) return [];
+
+    return [...new Set(fs.readdirSync(dirPath)
+        .filter(name => name !== 'manifest.json')
+        .filter(name => fs.statSync(path.join(dirPath, name)).isFile())
+        .map(name => path.extname(name).toLowerCase())
+        .filter(Boolean))];
+}
+
+/**
+ * Move the file rules of a directory entry from before `contains` into a
+ * `contains` for the one asset type its extensions (or its files) have
+ * @param {Object} asset - Directory asset without `contains`
+ * @param {Object} result - Collects { changes, notes, manual } descriptions
+ */
+function migrateLegacyDirectory(asset, result) {
+    const extensions = asset.allowedExtensions || listDirectoryExtensions(asset.path);
+    const types = [...new Set(extensions.map(detectAssetType))];
+
+    if (types.length !== 1 || !types[0]) {
+        const found = extensions.length > 0 ? `extensions ${extensions.join(', ')}` : 'no allowedExtensions or files';
+        result.manual.push(`${asset.path}: could not tell what the directory contains (${found}). ` +
+            'Add "contains" by hand, then run npx migrate again');
+        return;
+    }
+
+    const contains = { type: types[0], allowedExtensions: extensions };
+    ['maxSize', 'schema', 'render'].forEach(field => {
+        if (field in asset) {
+            contains[field] = asset[field];
+        }
+    });
+    ['allowedExtensions', 'maxSize', 'schema', 'render'].forEach(field => delete asset[field]);
+    asset.contains = contains;
+
+    result.changes.push(`${asset.path}: added "contains" (type "${contains.type}", ${extensions.join(', ')})`);
+    if (asset.handler) {
+        result.notes.push(`${asset.handler} now gets the list of file paths in ${asset.path} instead of its path, check that it handles that`);
+    }
+}
+
+// Version 2: directory entries get a `contains`
+function migrateDirectories(siteAssets, result) {
+    (siteAssets.assets || [])
+        .filter(asset => asset && asset.type === 'directory' && !asset.contains)
+        .forEach(asset => migrateLegacyDirectory(asset, result));
+}
+
+// Upgrades in the order the formats were introduced. Each one only changes
+// entries still in an older form, so entries added by hand later are upgraded too
+const MIGRATIONS = [migrateDirectories];
+
+// Set configVersion, placed after `version` (or first) so it is easy to find
+function setConfigVersion(siteAssets) {
+    const entries = Object.entries(siteAssets).filter(([key]) => key !== 'configVersion');
+    const index = entries.findIndex(([key]) => key === 'version') + 1;
+    entries.splice(index, 0, ['configVersion', CONFIG_VERSION]);
+    return Object.fromEntries(entries);
+}
+
+// Main function
+function main() {
+    const args = process.argv.slice(2);
+    const checkOnly = args.includes('--check');
+
+    if (args.includes('--help')) {
+        log('\nUsage: npx migrate [--check]', 'yellow');
+        log(`Upgrades site-assets.json to the current format (configVersion ${CONFIG_VERSION})`, 'cyan');
+        log('  --check  Do not write anything, exit non-zero if site-assets.json needs migrating\n', 'cyan');
+        return;
+    }
+
+    log(`\n=== ${checkOnly ? 'Check' : 'Migrate'} site-assets.json ===\n`, 'bright');
+
+    let siteAssets = loadSiteAssets();
+    const fromVersion = siteAssets.configVersion || 1;
+
+    if (fromVersion > CONFIG_VERSION) {
+        log(`Error: site-assets.json has configVersion ${fromVersion}, this version of dynaloader reads up to ${CONFIG_VERSION}`, 'red');
+        log('  Update dynaloader instead\n', 'red');
+        process.exit(1);
+    }
+
+    const result = { changes: [], notes: [], manual: [] };
+    MIGRATIONS.forEach(migrate => migrate(siteAssets, result));
+
+    // The version is only raised once nothing is left in an older form
+    const upgraded = result.manual.length === 0 && fromVersion < CONFIG_VERSION;
+    if (upgraded) {
+        siteAssets = setConfigVersion(siteAssets);
+        result.changes.push(`configVersion: ${fromVersion} → ${CONFIG_VERSION}`);
+    }
+
+    result.changes.forEach(change => log(`${checkOnly ? '!' : '✓'} ${change}`, checkOnly ? 'yellow' : 'green'));
+    result.notes.forEach(note => log(`  ${note}`, 'cyan'));
+    result.manual.forEach(message => log(`✗ ${message}`, 'red'));
+
+    if (result.changes.length === 0 && result.manual.length === 0) {
+        log(`✓ site-assets.json is up to date (configVersion ${CONFIG_VERSION})\n`, 'green');
+        return;
+    }
+
+    if (checkOnly) {
+        log('\n✗ site-assets.json needs migrating. Run: npx migrate\n', 'red');
+        process.exit(1);
+    }
+
+    if (result.changes.length > 0) {
+        saveSiteAssets(siteAssets);
+    }
+
+    // Problems migrations do not fix are reported the way the loader would
+    const errors = validateSiteAssets(siteAssets);
+    if (errors.length > 0) {
+        log('\n✗ site-assets.json has problems to fix by hand:', 'red');
+        errors.forEach(error => log(`  ${formatSiteAssetsError(error)}`, 'red'));
+    }
+    if (result.manual.length > 0 || errors.length > 0) {
+        log('');
+        process.exit(1);
+    }
+
+    log(`\n✓ site-assets.json is now configVersion ${CONFIG_VERSION}\n`, 'green');
+}
+
+// Run
+main();
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { validateSiteAssets, formatSiteAssetsError } from './asset-loader.js';
+
+// Color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    red: '\x1b[31m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Exit code for invalid arguments
+const EXIT_INVALID = 2;
+
+// Load site-assets.json
+function loadSiteAssets() {
+    let siteAssets;
+    try {
+        siteAssets = JSON.parse(fs.readFileSync('site-assets.json', 'utf8'));
+    } catch (error) {
+        log('Error loading site-assets.json', 'red');
+        log(`  ${error.message}`, 'red');
+        process.exit(1);
+    }
+
+    warnInvalidSiteAssets(siteAssets);
+    return siteAssets;
+}
+
+// Warn about problems in site-assets.json without stopping the command
+function warnInvalidSiteAssets(siteAssets) {
+    const errors = validateSiteAssets(siteAssets);
+    if (errors.length === 0) return;
+
+    log('! site-assets.json has problems, the loader will refuse it until they are fixed:', 'yellow');
+    errors.forEach(error => log(`  ${formatSiteAssetsError(error)}`, 'yellow'));
+    log('');
+}
+
+// Save site-assets.json, keeping its trailing newline (if any)
+function saveSiteAssets(siteAssets) {
+    const trailing = fs.readFileSync('site-assets.json', 'utf8').endsWith('\n') ? '\n' : '';
+    fs.writeFileSync('site-assets.json', JSON.stringify(siteAssets, null, 2) + trailing);
+    log('✓ Updated site-assets.json', 'green');
+}
+
+// Normalize a path to the form used in site-assets.json (forward slashes, no leading ./ or trailing /)
+function normalizePath(filePath) {
+    return filePath.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+// Handler path add-asset generates for an asset path
+function defaultHandlerPath(assetPath) {
+    return `handlers/${path.basename(assetPath, path.extname(assetPath))}.js`;
+}
+
+// Print an error about the arguments and exit
+function exitInvalid(message) {
+    log(`Error: ${message}`, 'red');
+    process.exit(EXIT_INVALID);
+}
+
+// Parse command line options
+function parseArgs(args) {
+    const options = { paths: [], moveFiles: false };
+
+    for (const arg of args) {
+        if (arg === '--move-files') {
+            options.moveFiles = true;
+        } else if (arg === '--help') {
+            options.help = true;
+        } else if (!arg.startsWith('-') && options.paths.length < 2) {
+            options.paths.push(arg);
+        } else {
+            exitInvalid(`Unknown argument "${arg}"`);
+        }
+    }
+
+    return options;
+}
+
+// Move a file or directory, creating the parent directories of the target
+function moveFile(from, to) {
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    fs.renameSync(from, to);
+    log(`✓ Moved ${from} to ${to}`, 'green');
+}
+
+// Main function
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help || options.paths.length !== 2) {
+        log('\nUsage: npx move-asset <path> <new-path> [--move-files]', 'yellow');
+        log('Changes the path of an asset in site-assets.json and renames its generated handler to match', 'cyan');
+        log('  --move-files  Also move the content file or directory\n', 'cyan');
+        if (!options.help) process.exit(EXIT_INVALID);
+        return;
+    }
+
+    const siteAssets = loadSiteAssets();
+    const assets = siteAssets.assets || [];
+    const [fromPath, toPath] = options.paths.map(normalizePath);
+    const asset = assets.find(a => normalizePath(a.path) === fromPath);
+
+    if (!asset) {
+        exitInvalid(`No asset with path "${fromPath}" in site-assets.json`);
+    }
+    if (fromPath === toPath) {
+        exitInvalid('The new path is the same as the current one');
+    }
+    if (assets.some(a => normalizePath(a.path) === toPath)) {
+        exitInvalid(`An asset with path "${toPath}" already exists`);
+    }
+    if (options.moveFiles && fs.existsSync(toPath)) {
+        exitInvalid(`"${toPath}" already exists, not overwriting it`);
+    }
+
+    log('\n=== Move Asset ===\n', 'bright');
+
+    // A handler named after the asset follows it, unless other assets share it
+    // or a file already has the new name
+    let handlerPath = null;
+    if (asset.handler && normalizePath(asset.handler) === defaultHandlerPath(fromPath)) {
+        const newHandlerPath = defaultHandlerPath(toPath);
+        const shared = assets.some(other =>
+            other !== asset && other.handler && normalizePath(other.handler) === normalizePath(asset.handler));
+
+        if (!shared && newHandlerPath !== normalizePath(asset.handler)) {
+            if (fs.existsSync(newHandlerPath)) {
+                log(`! ${newHandlerPath} already exists, keeping ${asset.handler}`, 'yellow');
+            } else {
+                handlerPath = newHandlerPath;
+            }
+        }
+    }
+
+    if (options.moveFiles) {
+        if (fs.existsSync(asset.path)) {
+            moveFile(asset.path, toPath);
+        } else {
+            log(`! ${asset.path} does not exist, only site-assets.json is updated`, 'yellow');
+        }
+    }
+
+    if (handlerPath) {
+        if (fs.existsSync(asset.handler)) {
+            moveFile(asset.handler, handlerPath);
+        }
+        asset.handler = handlerPath;
+    }
+
+    asset.path = toPath;
+    saveSiteAssets(siteAssets);
+
+    log(`\n✓ Moved ${fromPath} to ${toPath}`, 'green');
+    if (!options.moveFiles && !fs.existsSync(toPath)) {
+        log(`  ${toPath} does not exist yet, move the content or run again with --move-files`, 'yellow');
+    }
+    log('');
+}
+
+// Run
+main();
@@ -0,0 +1,11 @@
+/**
+ * Type declarations for node-loader.js
+ */
+
+import type { Loader, LoaderOptions } from './asset-loader.js';
+
+/** Create a loader that reads site-assets.json and its content from the filesystem */
+export function createNodeLoader(options?: LoaderOptions & { root?: string }): Loader;
+
+/** Create a fetch function answering from the files under a directory */
+export function createFileFetch(root: string): typeof fetch;
@@ -0,0 +1,72 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLoader } from './asset-loader.js';
+
+/**
+ * Create a loader that reads site-assets.json and its content from the filesystem
+ * Paths are resolved the same way the browser resolves them against the page, so
+ * the content matches what the browser loader would load. Handlers are not run,
+ * since they need a page, and content bundles are ignored, since the files are
+ * at hand; http(s) URLs are still fetched from the network
+ * @param {Object} [options] - Loader options (see createLoader in asset-loader.js)
+ * @param {string} [options.root=process.cwd()] - Directory relative paths are resolved against
+ * @returns {Object} Loader, see createLoader
+ */
+export function createNodeLoader(options = {}) {
+    const { root = process.cwd(), ...loaderOptions } = options;
+
+    return createLoader({
+        runHandlers: false,
+        bundle: false,
+        ...loaderOptions,
+        fetch: createFileFetch(root)
+    });
+}
+
+/**
+ * Create a fetch function answering from the files under a directory
+ * Missing files answer 404 and directories answer an HTML listing, like a
+ * static web server with directory listing enabled
+ * @param {string} root - Directory relative paths are resolved against
+ * @returns {Function} fetch(url, init) returning a promise of a Response
+ */
+export function createFileFetch(root) {
+    const rootPath = path.resolve(root);
+
+    return async (url, init = {}) => {
+        const target = String(url);
+        if (/^https?:/i.test(target)) {
+            return fetch(target, init);
+        }
+
+        const filePath = target.startsWith('file:')
+            ? fileURLToPath(target)
+            : path.join(rootPath, decodeURIComponent(target.split(/[?#]/)[0]));
+
+        // Never read anything outside the root
+        if (filePath !== rootPath && !filePath.startsWith(rootPath + path.sep)) {
+            return new Response('Forbidden', { status: 403 });
+        }
+
+        let stats;
+        try {
+            stats = await fs.promises.stat(filePath);
+        } catch (error) {
+            return new Response('Not found', { status: 404 });
+        }
+
+        if (stats.isDirectory()) {
+            const entries = await fs.promises.readdir(filePath, { withFileTypes: true });
+            const links = entries
+                .map(entry => encodeURIComponent(entry.name) + (entry.isDirectory() ? '/' : ''))
+                .sort()
+                .map(href => `<li><a href="${href}">${href}</a></li>`);
+            return new Response(`<ul>\n${links.join('\n')}\n</ul>\n`, {
+                headers: { 'Content-Type': 'text/html; charset=utf-8' }
+            });
+        }
+
+        return new Response(await fs.promises.readFile(filePath));
+    };
+}
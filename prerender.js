@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import { createNodeLoader } from './node-loader.js';
+
+// Color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    red: '\x1b[31m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Id of the script element the browser loader hydrates from
+const SNAPSHOT_ELEMENT_ID = 'dynaloader-snapshot';
+
+const DEFAULT_OUTPUT = 'content-snapshot.json';
+
+// Parse command line options
+function parseArgs(args) {
+    const options = { assets: 'site-assets.json', out: null, html: null, strict: false };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--assets') {
+            options.assets = args[++i];
+        } else if (args[i] === '--out' || args[i] === '-o') {
+            options.out = args[++i];
+        } else if (args[i] === '--html') {
+            options.html = args[++i];
+        } else if (args[i] === '--strict') {
+            options.strict = true;
+        } else if (args[i] === '--help') {
+            options.help = true;
+        }
+    }
+
+    return options;
+}
+
+// Put the snapshot into an HTML page, replacing one inlined by an earlier run
+function inlineSnapshot(html, snapshot) {
+    // Escaping "<" keeps the content from closing the script element
+    const json = JSON.stringify(snapshot).replace(/</g, '\\u003c');
+    const script = `<script type="application/json" id="${SNAPSHOT_ELEMENT_ID}">${json}</script>`;
+
+    const existing = new RegExp(`<script[^>]*\\bid=["']${SNAPSHOT_ELEMENT_ID}["'][^>]*>[\\s\\S]*?</script>`, 'i');
+    if (existing.test(html)) {
+        return html.replace(existing, () => script);
+    }
+    if (/<\/head>/i.test(html)) {
+        return html.replace(/<\/head>/i, match => `${script}\n${match}`);
+    }
+    return `${script}\n${html}`;
+}
+
+// Join the arguments of a loader message, showing errors by their message only
+function formatMessage(args) {
+    return args.map(arg => (arg instanceof Error ? arg.message : arg)).join(' ');
+}
+
+// Print the assets that did not load
+function printReport(report) {
+    const failed = report.filter(entry => entry.status !== 'loaded');
+
+    failed.forEach(entry => {
+        const color = entry.required ? 'red' : 'yellow';
+        log(`${entry.required ? '✗' : '!'} ${entry.path}: ${entry.status}`, color);
+        entry.messages.forEach(message => log(`    ${message}`, color));
+    });
+
+    log(`✓ ${report.length - failed.length} of ${report.length} assets loaded`, failed.length > 0 ? 'yellow' : 'green');
+}
+
+// Main function
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        log('\nUsage: npx prerender [--out content-snapshot.json] [--html index.html] [--assets site-assets.json] [--strict]', 'yellow');
+        log('Loads all content from the filesystem into a snapshot the browser loader hydrates from', 'cyan');
+        log('  --out     Write the snapshot as JSON (default: content-snapshot.json, unless --html is given)', 'cyan');
+        log('  --html    Inline the snapshot into this HTML file, replacing a previous one', 'cyan');
+        log('  --assets  Path of site-assets.json', 'cyan');
+        log('  --strict  Fail when an asset marked "required" does not load\n', 'cyan');
+        return;
+    }
+
+    log('\n=== Prerender Content ===\n', 'bright');
+
+    if (!fs.existsSync(options.assets)) {
+        log(`Error: ${options.assets} not found`, 'red');
+        process.exit(1);
+    }
+
+    const loader = createNodeLoader({
+        assetsPath: options.assets,
+        strict: options.strict,
+        logger: {
+            warn: (...args) => log(formatMessage(args), 'yellow'),
+            error: (...args) => log(formatMessage(args), 'red')
+        }
+    });
+    const { siteAssets } = await loader.load();
+
+    // Lazy and visible assets are included too, so loading them later needs no request
+    const deferred = (siteAssets.assets || []).filter(asset => asset.loading && asset.loading !== 'eager');
+    await Promise.all(deferred.map(asset => loader.loadAsset(asset.path)));
+
+    const report = loader.getReport();
+    printReport(report);
+    if (options.strict && report.some(entry => entry.required && entry.status !== 'loaded')) {
+        log('\nError: required assets failed to load', 'red');
+        process.exit(1);
+    }
+
+    const snapshot = loader.getSnapshot();
+
+    if (options.out || !options.html) {
+        const outPath = options.out || DEFAULT_OUTPUT;
+        fs.writeFileSync(outPath, JSON.stringify(snapshot, null, 2) + '\n');
+        log(`✓ Wrote ${outPath}`, 'green');
+    }
+
+    if (options.html) {
+        const html = fs.readFileSync(options.html, 'utf8');
+        fs.writeFileSync(options.html, inlineSnapshot(html, snapshot));
+        log(`✓ Inlined the snapshot into ${options.html}`, 'green');
+    }
+
+    log('');
+}
+
+// Run
+main().catch(error => {
+    log(`\nError: ${error.message}`, 'red');
+    process.exit(1);
+});
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import inquirer from 'inquirer';
+import { validateSiteAssets, formatSiteAssetsError } from './asset-loader.js';
+
+// Color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    red: '\x1b[31m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Exit code for invalid arguments
+const EXIT_INVALID = 2;
+
+// Load site-assets.json
+function loadSiteAssets() {
+    let siteAssets;
+    try {
+        siteAssets = JSON.parse(fs.readFileSync('site-assets.json', 'utf8'));
+    } catch (error) {
+        log('Error loading site-assets.json', 'red');
+        log(`  ${error.message}`, 'red');
+        process.exit(1);
+    }
+
+    warnInvalidSiteAssets(siteAssets);
+    return siteAssets;
+}
+
+// Warn about problems in site-assets.json without stopping the command
+function warnInvalidSiteAssets(siteAssets) {
+    const errors = validateSiteAssets(siteAssets);
+    if (errors.length === 0) return;
+
+    log('! site-assets.json has problems, the loader will refuse it until they are fixed:', 'yellow');
+    errors.forEach(error => log(`  ${formatSiteAssetsError(error)}`, 'yellow'));
+    log('');
+}
+
+// Save site-assets.json, keeping its trailing newline (if any)
+function saveSiteAssets(siteAssets) {
+    const trailing = fs.readFileSync('site-assets.json', 'utf8').endsWith('\n') ? '\n' : '';
+    fs.writeFileSync('site-assets.json', JSON.stringify(siteAssets, null, 2) + trailing);
+    log('✓ Updated site-assets.json', 'green');
+}
+
+// Normalize a path to the form used in site-assets.json (forward slashes, no leading ./ or trailing /)
+function normalizePath(filePath) {
+    return filePath.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+// Print an error about the arguments and exit
+function exitInvalid(message) {
+    log(`Error: ${message}`, 'red');
+    process.exit(EXIT_INVALID);
+}
+
+// Parse command line options
+function parseArgs(args) {
+    const options = { assetPath: null, deleteFiles: false, keepHandler: false, yes: false };
+
+    for (const arg of args) {
+        if (arg === '--delete-files') {
+            options.deleteFiles = true;
+        } else if (arg === '--keep-handler') {
+            options.keepHandler = true;
+        } else if (arg === '--yes' || arg === '-y') {
+            options.yes = true;
+        } else if (arg === '--help') {
+            options.help = true;
+        } else if (!arg.startsWith('-') && options.assetPath === null) {
+            options.assetPath = arg;
+        } else {
+            exitInvalid(`Unknown argument "${arg}"`);
+        }
+    }
+
+    return options;
+}
+
+// Ask before changing anything, unless --yes was given
+async function confirm(message, yes) {
+    if (yes) return true;
+
+    if (!process.stdin.isTTY) {
+        exitInvalid('Not running in a terminal, pass --yes to confirm');
+    }
+
+    const { confirmed } = await inquirer.prompt([
+        { type: 'confirm', name: 'confirmed', message, default: false }
+    ]);
+    return confirmed;
+}
+
+// Main function
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help || !options.assetPath) {
+        log('\nUsage: npx remove-asset <path> [--delete-files] [--keep-handler] [--yes]', 'yellow');
+        log('Removes an asset from site-assets.json, with its handler file unless another asset uses it', 'cyan');
+        log('  --delete-files  Also delete the content file or directory', 'cyan');
+        log('  --keep-handler  Keep the handler file', 'cyan');
+        log('  --yes           Do not ask for confirmation\n', 'cyan');
+        if (!options.help) process.exit(EXIT_INVALID);
+        return;
+    }
+
+    const siteAssets = loadSiteAssets();
+    const assets = siteAssets.assets || [];
+    const assetPath = normalizePath(options.assetPath);
+    const asset = assets.find(a => normalizePath(a.path) === assetPath);
+
+    if (!asset) {
+        exitInvalid(`No asset with path "${assetPath}" in site-assets.json`);
+    }
+
+    // A handler shared with another asset stays
+    const handlerShared = asset.handler && assets.some(other =>
+        other !== asset && other.handler && normalizePath(other.handler) === normalizePath(asset.handler));
+    const deleteHandler = asset.handler && !options.keepHandler && !handlerShared && fs.existsSync(asset.handler);
+    const deleteContent = options.deleteFiles && fs.existsSync(asset.path);
+
+    log('\n=== Remove Asset ===\n', 'bright');
+    log(`  Remove ${asset.path} from site-assets.json`);
+    if (deleteHandler) {
+        log(`  Delete handler ${asset.handler}`);
+    } else if (handlerShared) {
+        log(`  Keep handler ${asset.handler} (used by other assets)`, 'cyan');
+    }
+    if (deleteContent) {
+        const isDirectory = fs.statSync(asset.path).isDirectory();
+        log(`  Delete ${isDirectory ? 'directory' : 'file'} ${asset.path}${isDirectory ? ' and everything in it' : ''}`, 'yellow');
+    }
+    log('');
+
+    if (!await confirm('Remove this asset?', options.yes)) {
+        log('Nothing changed\n', 'yellow');
+        return;
+    }
+
+    siteAssets.assets = assets.filter(a => a !== asset);
+    saveSiteAssets(siteAssets);
+
+    if (deleteHandler) {
+        fs.unlinkSync(asset.handler);
+        log(`✓ Deleted ${asset.handler}`, 'green');
+    }
+    if (deleteContent) {
+        fs.rmSync(asset.path, { recursive: true });
+        log(`✓ Deleted ${asset.path}`, 'green');
+    }
+
+    log(`\n✓ Removed ${asset.path}\n`, 'green');
+}
+
+// Run
+main().catch(error => {
+    log(`\nError: ${error.message}`, 'red');
+    process.exit(1);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ADD_ASSET_CLI = fileURLToPath(new URL('../add-asset.js', import.meta.url));
+
+// An empty project, removed once the test is done
+function createProject(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dynaloader-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(root, 'site-assets.json'), JSON.stringify({ configVersion: 2, assets: [] }));
+    return root;
+}
+
+// Run add-asset in a project and return the assets it leaves in site-assets.json
+function addAsset(root, args) {
+    execFileSync(process.execPath, [ADD_ASSET_CLI, ...args], { cwd: root, stdio: 'ignore', timeout: 60000 });
+    return JSON.parse(fs.readFileSync(path.join(root, 'site-assets.json'), 'utf8')).assets;
+}
+
+test('--yes alone accepts every default', t => {
+    const root = createProject(t);
+    const assets = addAsset(root, ['--yes']);
+
+    assert.deepEqual(assets.map(asset => [asset.path, asset.type]), [['content/new-asset.json', 'json']]);
+    assert.ok(fs.existsSync(path.join(root, 'content/new-asset.json')));
+});
+
+test('--no-handler leaves the handler out', t => {
+    const root = createProject(t);
+    const [asset] = addAsset(root, ['content/new.json', '--yes', '--no-handler']);
+
+    assert.equal(asset.handler, undefined);
+    assert.ok(!fs.existsSync(path.join(root, 'handlers/new.js')));
+});
+
+test('--no-handler keeps a handler that is already there', t => {
+    const root = createProject(t);
+    fs.mkdirSync(path.join(root, 'handlers'));
+    fs.writeFileSync(path.join(root, 'handlers/new.js'), 'export function handle() {}\n');
+    const [asset] = addAsset(root, ['content/new.json', '--yes', '--no-handler']);
+
+    assert.equal(asset.handler, 'handlers/new.js');
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const EDIT_ASSET_CLI = fileURLToPath(new URL('../edit-asset.js', import.meta.url));
+
+// A project with two assets sharing handlers/shared.js and one with its own handler
+function createProject(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dynaloader-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const files = {
+        'site-assets.json': JSON.stringify({
+            configVersion: 2,
+            assets: [
+                { path: 'content/about.json', type: 'json', handler: 'handlers/about.js' },
+                { path: 'content/a.json', type: 'json', handler: 'handlers/shared.js' },
+                { path: 'content/b.json', type: 'json', handler: 'handlers/shared.js' },
+                {
+                    path: 'gallery',
+                    type: 'directory',
+                    contains: { type: 'combo', parts: [{ assetType: 'json', allowedExtensions: ['.json'] }] }
+                }
+            ]
+        }),
+        'handlers/about.js': 'export function handle() {}\n',
+        'handlers/shared.js': 'export function handle() {}\n'
+    };
+    Object.entries(files).forEach(([name, content]) => {
+        fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+        fs.writeFileSync(path.join(root, name), content);
+    });
+    return root;
+}
+
+// Run edit-asset in a project, returning its exit code and the asset it edited
+function editAsset(root, args) {
+    const { status } = spawnSync(process.execPath, [EDIT_ASSET_CLI, ...args], { cwd: root, stdio: 'ignore', timeout: 60000 });
+    const { assets } = JSON.parse(fs.readFileSync(path.join(root, 'site-assets.json'), 'utf8'));
+    return { status, asset: assets.find(asset => asset.path === args[0]) };
+}
+
+test('changes fields and leaves defaults out', t => {
+    const root = createProject(t);
+    const { status, asset } = editAsset(root, ['content/about.json', '--label', 'About', '--max-size', '1024',
+        '--loading', 'visible', '--selector', '#about', '--required']);
+
+    assert.equal(status, 0);
+    assert.deepEqual(asset, {
+        path: 'content/about.json',
+        type: 'json',
+        handler: 'handlers/about.js',
+        label: 'About',
+        maxSize: 1024,
+        loading: 'visible',
+        selector: '#about',
+        required: true
+    });
+
+    const { asset: reverted } = editAsset(root, ['content/about.json', '--loading', 'eager', '--no-required']);
+    assert.equal('loading' in reverted, false);
+    assert.equal('required' in reverted, false);
+});
+
+test('--handler moves a handler file only this asset uses', t => {
+    const root = createProject(t);
+    const { status, asset } = editAsset(root, ['content/about.json', '--handler', 'handlers/about-page.js']);
+
+    assert.equal(status, 0);
+    assert.equal(asset.handler, 'handlers/about-page.js');
+    assert.ok(fs.existsSync(path.join(root, 'handlers/about-page.js')));
+    assert.ok(!fs.existsSync(path.join(root, 'handlers/about.js')));
+});
+
+test('--handler leaves a shared handler file where it is', t => {
+    const root = createProject(t);
+    const { asset } = editAsset(root, ['content/a.json', '--handler', 'handlers/a.js']);
+
+    assert.equal(asset.handler, 'handlers/a.js');
+    assert.ok(fs.existsSync(path.join(root, 'handlers/shared.js')));
+    assert.ok(!fs.existsSync(path.join(root, 'handlers/a.js')));
+});
+
+test('--no-handler removes the handler but keeps its file', t => {
+    const root = createProject(t);
+    const { asset } = editAsset(root, ['content/about.json', '--no-handler']);
+
+    assert.equal('handler' in asset, false);
+    assert.ok(fs.existsSync(path.join(root, 'handlers/about.js')));
+});
+
+test('invalid values exit with 2 and change nothing', t => {
+    const root = createProject(t);
+    const before = fs.readFileSync(path.join(root, 'site-assets.json'), 'utf8');
+
+    assert.equal(editAsset(root, ['content/about.json', '--max-size', 'big']).status, 2);
+    assert.equal(editAsset(root, ['content/about.json', '--loading', 'visible']).status, 2);
+    assert.equal(editAsset(root, ['gallery', '--max-size', '1024']).status, 2);
+    assert.equal(editAsset(root, ['content/missing.json', '--label', 'Missing']).status, 2);
+    assert.equal(fs.readFileSync(path.join(root, 'site-assets.json'), 'utf8'), before);
+});
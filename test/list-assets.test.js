@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const LIST_ASSETS_CLI = fileURLToPath(new URL('../list-assets.js', import.meta.url));
+
+test('--json describes each asset and its missing files', t => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dynaloader-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(root, 'site-assets.json'), JSON.stringify({
+        configVersion: 2,
+        assets: [
+            { path: 'content/about.json', type: 'json', label: 'About', handler: 'handlers/about.js', required: true },
+            { path: 'gallery', type: 'directory', loading: 'lazy', contains: { type: 'image' } }
+        ]
+    }));
+    fs.mkdirSync(path.join(root, 'content'));
+    fs.writeFileSync(path.join(root, 'content/about.json'), '{}');
+
+    const output = execFileSync(process.execPath, [LIST_ASSETS_CLI, '--json'], { cwd: root, encoding: 'utf8', timeout: 60000 });
+    assert.deepEqual(JSON.parse(output), [
+        {
+            path: 'content/about.json',
+            type: 'json',
+            contains: null,
+            label: 'About',
+            loading: 'eager',
+            required: true,
+            exists: true,
+            handler: 'handlers/about.js',
+            handlerExists: false
+        },
+        {
+            path: 'gallery',
+            type: 'directory',
+            contains: 'image',
+            label: null,
+            loading: 'lazy',
+            required: false,
+            exists: false,
+            handler: null,
+            handlerExists: null
+        }
+    ]);
+
+    const directories = execFileSync(process.execPath, [LIST_ASSETS_CLI, '--json', '--type', 'directory'], { cwd: root, encoding: 'utf8', timeout: 60000 });
+    assert.deepEqual(JSON.parse(directories).map(entry => entry.path), ['gallery']);
+});
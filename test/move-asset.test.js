@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const MOVE_ASSET_CLI = fileURLToPath(new URL('../move-asset.js', import.meta.url));
+
+// A project with a generated handler, a handler shared by two assets, and their content files
+function createProject(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dynaloader-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const files = {
+        'site-assets.json': JSON.stringify({
+            configVersion: 2,
+            assets: [
+                { path: 'content/about.json', type: 'json', handler: 'handlers/about.js' },
+                { path: 'content/a.json', type: 'json', handler: 'handlers/a.js' },
+                { path: 'content/b.json', type: 'json', handler: 'handlers/a.js' }
+            ]
+        }),
+        'content/about.json': '{}',
+        'content/a.json': '{}',
+        'content/b.json': '{}',
+        'handlers/about.js': 'export function handle() {}\n',
+        'handlers/a.js': 'export function handle() {}\n'
+    };
+    Object.entries(files).forEach(([name, content]) => {
+        fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+        fs.writeFileSync(path.join(root, name), content);
+    });
+    return root;
+}
+
+// Run move-asset in a project, returning its exit code and the assets it leaves
+function moveAsset(root, args) {
+    const { status } = spawnSync(process.execPath, [MOVE_ASSET_CLI, ...args], { cwd: root, stdio: 'ignore', timeout: 60000 });
+    const { assets } = JSON.parse(fs.readFileSync(path.join(root, 'site-assets.json'), 'utf8'));
+    return { status, assets };
+}
+
+test('renames the generated handler with the asset', t => {
+    const root = createProject(t);
+    const { status, assets } = moveAsset(root, ['content/about.json', 'content/pages/team.json']);
+
+    assert.equal(status, 0);
+    assert.deepEqual(assets[0], { path: 'content/pages/team.json', type: 'json', handler: 'handlers/team.js' });
+    assert.ok(fs.existsSync(path.join(root, 'handlers/team.js')));
+    assert.ok(!fs.existsSync(path.join(root, 'handlers/about.js')));
+    // Without --move-files the content stays
+    assert.ok(fs.existsSync(path.join(root, 'content/about.json')));
+});
+
+test('leaves a shared handler alone', t => {
+    const root = createProject(t);
+    const { assets } = moveAsset(root, ['content/a.json', 'content/c.json']);
+
+    assert.equal(assets[1].path, 'content/c.json');
+    assert.equal(assets[1].handler, 'handlers/a.js');
+    assert.ok(fs.existsSync(path.join(root, 'handlers/a.js')));
+});
+
+test('--move-files moves the content', t => {
+    const root = createProject(t);
+    moveAsset(root, ['content/about.json', 'pages/about.json', '--move-files']);
+
+    assert.ok(fs.existsSync(path.join(root, 'pages/about.json')));
+    assert.ok(!fs.existsSync(path.join(root, 'content/about.json')));
+});
+
+test('refuses to overwrite an asset or a file', t => {
+    const root = createProject(t);
+    const before = fs.readFileSync(path.join(root, 'site-assets.json'), 'utf8');
+
+    assert.equal(moveAsset(root, ['content/about.json', 'content/a.json']).status, 2);
+    fs.writeFileSync(path.join(root, 'content/taken.json'), '{}');
+    assert.equal(moveAsset(root, ['content/about.json', 'content/taken.json', '--move-files']).status, 2);
+    assert.equal(moveAsset(root, ['content/missing.json', 'content/new.json']).status, 2);
+    assert.equal(fs.readFileSync(path.join(root, 'site-assets.json'), 'utf8'), before);
+});
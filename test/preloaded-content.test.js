@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AssetValidationError, AssetLoadError } from '../asset-loader.js';
+import { createNodeLoader } from '../node-loader.js';
+
+const BUNDLE_CLI = fileURLToPath(new URL('../bundle.js', import.meta.url));
+
+const TITLE_SCHEMA = { type: 'object', required: ['title'], properties: { title: { type: 'string' } } };
+
+// A project with one invalid file: the b combo of the gallery, removed once the test is done
+function createProject(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dynaloader-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const files = {
+        'site-assets.json': {
+            version: '1',
+            configVersion: 2,
+            assets: [
+                { path: 'content/site.json', type: 'json', schema: TITLE_SCHEMA },
+                {
+                    path: 'gallery',
+                    type: 'directory',
+                    required: true,
+                    contains: {
+                        type: 'combo',
+                        parts: [{ assetType: 'json', allowedExtensions: ['.json'], schema: TITLE_SCHEMA }]
+                    }
+                }
+            ]
+        },
+        'content/site.json': { title: 'Site' },
+        'gallery/manifest.json': { files: ['a.json', 'b.json'] },
+        'gallery/a.json': { title: 'A' },
+        'gallery/b.json': { title: 2 }
+    };
+
+    Object.entries(files).forEach(([name, data]) => {
+        fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+        fs.writeFileSync(path.join(root, name), JSON.stringify(data));
+    });
+    return root;
+}
+
+// Remove the content files, so only preloaded content can be loaded
+function removeContent(root) {
+    fs.rmSync(path.join(root, 'content'), { recursive: true });
+    fs.rmSync(path.join(root, 'gallery'), { recursive: true });
+}
+
+// Load a project from a source of preloaded content with the given options
+async function loadPreloaded(root, source, options) {
+    const loader = createNodeLoader({ root, logger: false, ...source, ...options });
+    const result = await loader.load();
+    return { ...result, status: result.report.find(entry => entry.path === 'gallery').status };
+}
+
+async function createSnapshot(t) {
+    const root = createProject(t);
+    const loader = createNodeLoader({ root, logger: false });
+    await loader.load();
+    const snapshot = JSON.parse(JSON.stringify(loader.getSnapshot()));
+    removeContent(root);
+    return { root, source: { snapshot } };
+}
+
+test('snapshot: skip drops the invalid combo', async t => {
+    const { root, source } = await createSnapshot(t);
+    const { contentData, validationErrors, status } = await loadPreloaded(root, source, { validation: 'skip' });
+
+    assert.deepEqual(Object.keys(contentData.gallery), ['a']);
+    assert.deepEqual(validationErrors.map(entry => entry.file), ['gallery/b.json']);
+    assert.equal(status, 'validation-error');
+});
+
+test('snapshot: warn keeps the invalid combo', async t => {
+    const { root, source } = await createSnapshot(t);
+    const { contentData, validationErrors, status } = await loadPreloaded(root, source, { validation: 'warn' });
+
+    assert.deepEqual(Object.keys(contentData.gallery), ['a', 'b']);
+    assert.equal(validationErrors.length, 1);
+    assert.equal(status, 'validation-error');
+});
+
+test('snapshot: throw rejects', async t => {
+    const { root, source } = await createSnapshot(t);
+    await assert.rejects(loadPreloaded(root, source, { validation: 'throw' }), AssetValidationError);
+});
+
+test('snapshot: off reports nothing', async t => {
+    const { root, source } = await createSnapshot(t);
+    const { contentData, validationErrors, status } = await loadPreloaded(root, source, { validation: 'off' });
+
+    assert.deepEqual(Object.keys(contentData.gallery), ['a', 'b']);
+    assert.deepEqual(validationErrors, []);
+    assert.equal(status, 'loaded');
+});
+
+test('snapshot: strict fails for the required asset', async t => {
+    const { root, source } = await createSnapshot(t);
+    await assert.rejects(loadPreloaded(root, source, { strict: true }), AssetLoadError);
+});
+
+// Bundle a project with the bundle command
+function createBundle(t) {
+    const root = createProject(t);
+    execFileSync(process.execPath, [BUNDLE_CLI], { cwd: root, stdio: 'ignore', timeout: 60000 });
+    removeContent(root);
+    // The Node loader ignores bundles by default
+    return { root, source: { bundle: true } };
+}
+
+test('bundle: skip drops the invalid combo', async t => {
+    const { root, source } = createBundle(t);
+    const { contentData, validationErrors, status } = await loadPreloaded(root, source, { validation: 'skip' });
+
+    assert.deepEqual(Object.keys(contentData.gallery), ['a']);
+    assert.deepEqual(validationErrors.map(entry => entry.file), ['gallery/b.json']);
+    assert.equal(status, 'validation-error');
+});
+
+test('bundle: throw rejects', async t => {
+    const { root, source } = createBundle(t);
+    await assert.rejects(loadPreloaded(root, source, { validation: 'throw' }), AssetValidationError);
+});
+
+test('bundle: off reports nothing', async t => {
+    const { root, source } = createBundle(t);
+    const { contentData, validationErrors, status } = await loadPreloaded(root, source, { validation: 'off' });
+
+    assert.deepEqual(Object.keys(contentData.gallery), ['a', 'b']);
+    assert.deepEqual(validationErrors, []);
+    assert.equal(status, 'loaded');
+});
+
+test('bundle: strict fails for the required asset', async t => {
+    const { root, source } = createBundle(t);
+    await assert.rejects(loadPreloaded(root, source, { strict: true }), AssetLoadError);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const REMOVE_ASSET_CLI = fileURLToPath(new URL('../remove-asset.js', import.meta.url));
+
+// A project with an asset that has its own handler and two sharing one
+function createProject(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dynaloader-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const files = {
+        'site-assets.json': JSON.stringify({
+            configVersion: 2,
+            assets: [
+                { path: 'content/about.json', type: 'json', handler: 'handlers/about.js' },
+                { path: 'content/a.json', type: 'json', handler: 'handlers/shared.js' },
+                { path: 'content/b.json', type: 'json', handler: 'handlers/shared.js' }
+            ]
+        }),
+        'content/about.json': '{}',
+        'handlers/about.js': 'export function handle() {}\n',
+        'handlers/shared.js': 'export function handle() {}\n'
+    };
+    Object.entries(files).forEach(([name, content]) => {
+        fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+        fs.writeFileSync(path.join(root, name), content);
+    });
+    return root;
+}
+
+// Run remove-asset in a project, returning its exit code and the paths of the assets left
+function removeAsset(root, args) {
+    const { status } = spawnSync(process.execPath, [REMOVE_ASSET_CLI, ...args], { cwd: root, stdio: 'ignore', timeout: 60000 });
+    const { assets } = JSON.parse(fs.readFileSync(path.join(root, 'site-assets.json'), 'utf8'));
+    return { status, paths: assets.map(asset => asset.path) };
+}
+
+test('removes the asset and its handler, keeping the content', t => {
+    const root = createProject(t);
+    const { status, paths } = removeAsset(root, ['content/about.json', '--yes']);
+
+    assert.equal(status, 0);
+    assert.deepEqual(paths, ['content/a.json', 'content/b.json']);
+    assert.ok(!fs.existsSync(path.join(root, 'handlers/about.js')));
+    assert.ok(fs.existsSync(path.join(root, 'content/about.json')));
+});
+
+test('keeps a shared handler', t => {
+    const root = createProject(t);
+    removeAsset(root, ['content/a.json', '--yes']);
+
+    assert.ok(fs.existsSync(path.join(root, 'handlers/shared.js')));
+});
+
+test('--keep-handler and --delete-files', t => {
+    const root = createProject(t);
+    removeAsset(root, ['content/about.json', '--keep-handler', '--delete-files', '--yes']);
+
+    assert.ok(fs.existsSync(path.join(root, 'handlers/about.js')));
+    assert.ok(!fs.existsSync(path.join(root, 'content/about.json')));
+});
+
+test('needs --yes without a terminal', t => {
+    const root = createProject(t);
+    const { status, paths } = removeAsset(root, ['content/about.json']);
+
+    assert.equal(status, 2);
+    assert.equal(paths.length, 3);
+    assert.ok(fs.existsSync(path.join(root, 'handlers/about.js')));
+});
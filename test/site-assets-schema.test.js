@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { SITE_ASSETS_SCHEMA } from '../asset-loader.js';
+
+// Keywords that only document the schema, which the loader leaves out
+const ANNOTATIONS = ['$schema', 'title', 'description', 'definitions'];
+
+// Inline the $refs of the published schema and drop its annotations
+function normalize(schema, definitions) {
+    if (Array.isArray(schema)) return schema.map(item => normalize(item, definitions));
+    if (!schema || typeof schema !== 'object') return schema;
+
+    if (schema.$ref) {
+        return normalize(definitions[schema.$ref.replace('#/definitions/', '')], definitions);
+    }
+
+    let result = {};
+    Object.entries(schema).forEach(([key, value]) => {
+        if (ANNOTATIONS.includes(key)) return;
+        // A single allOf only extends a shared definition
+        if (key === 'allOf' && value.length === 1) {
+            result = { ...normalize(value[0], definitions), ...result };
+            return;
+        }
+        result[key] = key === 'properties'
+            ? Object.fromEntries(Object.entries(value).map(([name, property]) => [name, normalize(property, definitions)]))
+            : normalize(value, definitions);
+    });
+    return result;
+}
+
+test('the loader checks site-assets.json against the published schema', () => {
+    const published = JSON.parse(fs.readFileSync(new URL('../site-assets.schema.json', import.meta.url), 'utf8'));
+    assert.deepEqual(SITE_ASSETS_SCHEMA, normalize(published, published.definitions));
+});
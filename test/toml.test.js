@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectAssetType, getAssetTypes } from '../asset-loader.js';
+
+const { parse } = getAssetTypes().find(type => type.name === 'toml');
+
+test('.toml files are the toml type', () => {
+    assert.equal(detectAssetType('content/site.toml'), 'toml');
+});
+
+test('parses tables, arrays of tables and every kind of value', () => {
+    const text = [
+        'title = "Site \\u00e9" # comment',
+        "path = 'C:\\raw'",
+        'count = 1_000',
+        'mask = 0xff',
+        'ratio = -2.5e1',
+        'published = 1979-05-27T07:32:00Z',
+        'tags = [',
+        '  "a", # first',
+        '  "b",',
+        ']',
+        'author = { name = "Ann", links.site = "https://example.com" }',
+        'intro = """',
+        'One \\',
+        '   line"""',
+        '',
+        '[theme.colors]',
+        'main = "#333"',
+        '',
+        '[[pages]]',
+        'name = "Home"',
+        '',
+        '[[pages]]',
+        'name = "About"'
+    ].join('\n');
+
+    assert.deepEqual(parse(text), {
+        title: 'Site é',
+        path: 'C:\\raw',
+        count: 1000,
+        mask: 255,
+        ratio: -25,
+        published: '1979-05-27T07:32:00Z',
+        tags: ['a', 'b'],
+        author: { name: 'Ann', links: { site: 'https://example.com' } },
+        intro: 'One line',
+        theme: { colors: { main: '#333' } },
+        pages: [{ name: 'Home' }, { name: 'About' }]
+    });
+});
+
+test('rejects invalid documents with their line', () => {
+    assert.throws(() => parse('a = 1\na = 2'), /TOML line 2: duplicate key a/);
+    assert.throws(() => parse('[a]\n[a]'), /TOML line 2: table a is defined twice/);
+    assert.throws(() => parse('a = { b = 1 }\n[a]'), /TOML line 2/);
+    assert.throws(() => parse('a = "open'), /TOML line 1: unterminated string/);
+    assert.throws(() => parse('a = 1 b = 2'), /TOML line 1/);
+});
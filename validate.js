@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { validateSchema, validateSiteAssets, formatSiteAssetsError, getAssetTypes, detectAssetType, renderContent } from './asset-loader.js';
+
+// Color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    red: '\x1b[31m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Matches the ways a handler module can export a `handle` function
+const HANDLE_EXPORT_PATTERN = /export\s+(async\s+)?function\s*\*?\s*handle\b|export\s+(const|let|var)\s+handle\b|export\s*\{[^}]*\bhandle\b[^}]*\}/;
+
+// Load site-assets.json, or report why it cannot be read and return null
+function loadSiteAssets(report) {
+    try {
+        const data = fs.readFileSync('site-assets.json', 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        report.error({ path: 'site-assets.json' }, 'site-assets.json', 'config', `Cannot be loaded: ${error.message}`);
+        return null;
+    }
+}
+
+// Collects issues found while auditing
+function createReport() {
+    const issues = [];
+
+    return {
+        issues,
+        error(asset, file, code, message) {
+            issues.push({ level: 'error', asset: asset.path, file, code, message });
+        },
+        warning(asset, file, code, message) {
+            issues.push({ level: 'warning', asset: asset.path, file, code, message });
+        }
+    };
+}
+
+// Check a file's size and extension against the given rules
+function checkFileRules(report, asset, filePath, rules) {
+    const ext = path.extname(filePath).toLowerCase();
+    const allowed = (rules.allowedExtensions || []).map(e => e.toLowerCase());
+
+    if (allowed.length > 0 && !allowed.includes(ext)) {
+        report.error(asset, filePath, 'extension', `Extension "${ext}" is not allowed (allowed: ${allowed.join(', ')})`);
+    }
+
+    if (rules.maxSize) {
+        const size = fs.statSync(filePath).size;
+        if (size > rules.maxSize) {
+            report.error(asset, filePath, 'max-size', `File is ${size} bytes, exceeds maxSize of ${rules.maxSize} bytes`);
+        }
+    }
+}
+
+// Find a registered asset type by name, or by the file's extension when there is no such type
+function resolveAssetType(typeName, filePath) {
+    const types = getAssetTypes();
+    return types.find(type => type.name === typeName) ||
+        types.find(type => type.name === detectAssetType(filePath));
+}
+
+// Parse (and render) a file the way the loader does and check it against a schema
+function checkContentFile(report, asset, filePath, assetType, schema, render) {
+    if (!assetType || !assetType.parse) return;
+
+    let data;
+    try {
+        data = assetType.parse(fs.readFileSync(filePath, 'utf8'), filePath);
+        if (render) {
+            data = renderContent(render, data);
+        }
+    } catch (error) {
+        const code = assetType.name === 'json' ? 'invalid-json' : 'parse-error';
+        report.error(asset, filePath, code, `Invalid ${assetType.name.toUpperCase()}: ${error.message}`);
+        return;
+    }
+
+    if (!schema) return;
+
+    validateSchema(data, schema).forEach(error => {
+        report.error(asset, filePath, 'schema', `${error.path}: ${error.message}`);
+    });
+}
+
+// Check that the handler file exists and exports a handle function
+function checkHandler(report, asset) {
+    if (!asset.handler) return;
+
+    if (!fs.existsSync(asset.handler)) {
+        report.error(asset, asset.handler, 'missing-handler', 'Handler file does not exist');
+        return;
+    }
+
+    const source = fs.readFileSync(asset.handler, 'utf8');
+    if (!HANDLE_EXPORT_PATTERN.test(source)) {
+        report.error(asset, asset.handler, 'handler-export', 'Handler does not export a handle function');
+    }
+}
+
+// Check that files listed in a manifest.json or the asset's files array exist
+function checkListedFiles(report, asset) {
+    const dirPath = asset.path;
+    const manifestPath = path.join(dirPath, 'manifest.json');
+    const listed = [];
+
+    if (fs.existsSync(manifestPath)) {
+        try {
+            const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+            if (Array.isArray(manifest.files)) {
+                manifest.files.forEach(file => listed.push({ file, source: 'manifest.json' }));
+            }
+        } catch (error) {
+            report.error(asset, manifestPath, 'invalid-json', `Invalid JSON: ${error.message}`);
+        }
+    }
+
+    if (Array.isArray(asset.files)) {
+        asset.files.forEach(file => listed.push({ file, source: 'site-assets.json' }));
+    }
+
+    listed.forEach(({ file, source }) => {
+        const filePath = path.join(dirPath, file);
+        if (!fs.existsSync(filePath)) {
+            report.error(asset, filePath, 'missing-file', `File listed in ${source} does not exist`);
+        }
+    });
+}
+
+// List the content files of a directory (manifest.json excluded)
+function listDirectoryFiles(dirPath) {
+    return fs.readdirSync(dirPath)
+        .filter(name => name !== 'manifest.json')
+        .filter(name => fs.statSync(path.join(dirPath, name)).isFile())
+        .sort();
+}
+
+// Audit a combo directory: extensions, sizes, schemas and orphaned parts
+function checkComboDirectory(report, asset, files) {
+    const parts = asset.contains.parts || [];
+    const groups = {};
+
+    files.forEach(filename => {
+        const filePath = path.join(asset.path, filename);
+        const ext = path.extname(filename).toLowerCase();
+        const part = parts.find(p => (p.allowedExtensions || []).map(e => e.toLowerCase()).includes(ext));
+
+        if (!part) {
+            const allowed = parts.flatMap(p => p.allowedExtensions || []);
+            report.error(asset, filePath, 'extension', `Extension "${ext}" is not allowed (allowed: ${allowed.join(', ')})`);
+            return;
+        }
+
+        checkFileRules(report, asset, filePath, part);
+        checkContentFile(report, asset, filePath, resolveAssetType(part.assetType, filePath), part.schema, part.render);
+
+        const baseName = path.basename(filename, path.extname(filename));
+        if (!groups[baseName]) {
+            groups[baseName] = new Set();
+        }
+        groups[baseName].add(part);
+    });
+
+    for (const [baseName, foundParts] of Object.entries(groups)) {
+        parts.forEach(part => {
+            if (!foundParts.has(part)) {
+                const present = [...foundParts].map(p => p.assetType).join(', ');
+                report.error(asset, path.join(asset.path, baseName), 'orphan',
+                    `"${baseName}" has ${present} but no ${part.assetType} part (${part.allowedExtensions.join(', ')})`);
+            }
+        });
+    }
+}
+
+// Audit a directory asset
+function checkDirectoryAsset(report, asset) {
+    if (!fs.existsSync(asset.path) || !fs.statSync(asset.path).isDirectory()) {
+        report.error(asset, asset.path, 'missing-file', 'Directory does not exist');
+        return;
+    }
+
+    if (!asset.contains) {
+        report.warning(asset, asset.path, 'no-contains', 'Directory has no "contains" definition, contents not checked (upgrade it with: npx migrate)');
+        return;
+    }
+
+    checkListedFiles(report, asset);
+
+    const files = listDirectoryFiles(asset.path);
+    if (files.length === 0) {
+        report.warning(asset, asset.path, 'empty-directory', 'Directory is empty');
+        return;
+    }
+
+    if (asset.contains.type === 'combo') {
+        checkComboDirectory(report, asset, files);
+        return;
+    }
+
+    const assetType = getAssetTypes().find(type => type.name === asset.contains.type);
+    files.forEach(filename => {
+        const filePath = path.join(asset.path, filename);
+        checkFileRules(report, asset, filePath, asset.contains);
+        checkContentFile(report, asset, filePath, assetType, asset.contains.schema, asset.contains.render);
+    });
+}
+
+// Audit a single file asset
+function checkFileAsset(report, asset) {
+    if (!fs.existsSync(asset.path)) {
+        report.error(asset, asset.path, 'missing-file', 'File does not exist');
+        return;
+    }
+
+    checkFileRules(report, asset, asset.path, asset);
+
+    const assetType = resolveAssetType(asset.type, asset.path);
+    if (!assetType) {
+        // Custom types are registered in the page, so the content cannot be checked here
+        report.warning(asset, asset.path, 'unknown-type', `Unknown asset type "${asset.type}", content not checked`);
+        return;
+    }
+    checkContentFile(report, asset, asset.path, assetType, asset.schema, asset.render);
+}
+
+// Check that assets loaded when visible declare the element to watch
+function checkLoading(report, asset) {
+    if (asset.loading === 'visible' && !asset.selector) {
+        report.warning(asset, asset.path, 'missing-selector', 'Asset has loading "visible" but no "selector", it will load immediately');
+    }
+}
+
+// Print issues grouped by asset
+function printReport(issues, assetCount) {
+    const byAsset = {};
+    issues.forEach(issue => {
+        if (!byAsset[issue.asset]) {
+            byAsset[issue.asset] = [];
+        }
+        byAsset[issue.asset].push(issue);
+    });
+
+    for (const [assetPath, assetIssues] of Object.entries(byAsset)) {
+        log(`\n${assetPath}`, 'bright');
+        assetIssues.forEach(issue => {
+            const color = issue.level === 'error' ? 'red' : 'yellow';
+            const marker = issue.level === 'error' ? '✗' : '!';
+            log(`  ${marker} ${issue.file}: ${issue.message}`, color);
+        });
+    }
+
+    const errorCount = issues.filter(issue => issue.level === 'error').length;
+    const warningCount = issues.length - errorCount;
+
+    if (errorCount === 0) {
+        log(`\n✓ ${assetCount} assets checked, no errors (${warningCount} warnings)\n`, 'green');
+    } else {
+        log(`\n✗ ${assetCount} assets checked, ${errorCount} errors, ${warningCount} warnings\n`, 'red');
+    }
+}
+
+// Main function
+function main() {
+    const args = process.argv.slice(2);
+    const jsonOutput = args.includes('--json');
+
+    if (args.includes('--help')) {
+        log('\nUsage: npx validate [--json]', 'yellow');
+        log('  --json  Print a machine-readable JSON report\n', 'cyan');
+        return;
+    }
+
+    if (!jsonOutput) {
+        log('\n=== Validate Site Assets ===', 'bright');
+    }
+
+    const report = createReport();
+    const siteAssets = loadSiteAssets(report);
+
+    // Files are only audited against a configuration the loader accepts
+    const configErrors = siteAssets ? validateSiteAssets(siteAssets) : [];
+    configErrors.forEach(error => {
+        report.error({ path: error.asset || 'site-assets.json' }, 'site-assets.json', 'config', formatSiteAssetsError(error));
+    });
+    const assets = siteAssets && configErrors.length === 0 ? siteAssets.assets : [];
+
+    assets.forEach(asset => {
+        if (asset.type === 'directory') {
+            checkDirectoryAsset(report, asset);
+        } else {
+            checkFileAsset(report, asset);
+        }
+        checkHandler(report, asset);
+        checkLoading(report, asset);
+    });
+
+    const errors = report.issues.filter(issue => issue.level === 'error');
+    const warnings = report.issues.filter(issue => issue.level === 'warning');
+
+    if (jsonOutput) {
+        console.log(JSON.stringify({
+            valid: errors.length === 0,
+            assets: assets.length,
+            errors,
+            warnings
+        }, null, 2));
+    } else {
+        printReport(report.issues, assets.length);
+    }
+
+    if (errors.length > 0) {
+        process.exit(1);
+    }
+}
+
+// Run
+main();